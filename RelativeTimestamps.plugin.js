@@ -13,31 +13,1097 @@
 
 const PLUGIN_NAME = "RelativeTimestamps";
 
+/**
+ * UI strings per language. Keys missing from a language fall back to English.
+ * Unit names and numbers are not listed here: those come from Intl so that
+ * every locale Discord supports gets correct pluralization for free.
+ */
+const STRINGS = {
+  en: {
+    toastEnabled: "RelativeTimestamps: enabled",
+    toastDisabled: "RelativeTimestamps: disabled",
+    toastStartFailed: "RelativeTimestamps: failed to start (check console)",
+    toastReset: "RelativeTimestamps: settings reset",
+    settingsHeader: "RelativeTimestamps Settings",
+    detailedTitle: "Detailed timestamps",
+    detailedNote: "Example: “5 minutes 22 seconds ago” instead of “5 min. ago”.",
+    liveUpdateTitle: "Live update",
+    liveUpdateNote: "Keeps visible timestamps ticking in real time, refreshing each one only when its text changes.",
+    reduceUpdatesTitle: "Reduce updates",
+    reduceUpdatesNote: "Tick at most once a minute and leave out seconds. “Automatic” follows the system's reduced-motion setting.",
+    reduceUpdates_auto: "Automatic",
+    reduceUpdates_on: "On",
+    reduceUpdates_off: "Off",
+    showTooltipTitle: "Show details on hover",
+    showTooltipNote: "Hovering or focusing a timestamp opens a card with the full date, ISO, Unix time and exact age. Escape closes it.",
+    localeTitle: "Language",
+    localeNote: "Language used for timestamps and this panel.",
+    localeAuto: "Discord language ({0})",
+    resetButton: "Reset to defaults",
+    previewSection: "Preview",
+    previewDateLabel: "Your date",
+    previewDateNote: "Try any date: “2024-03-01 14:00”, “tomorrow 9am”, “in 3 days” or a Unix time.",
+    previewDatePlaceholder: "e.g. friday 17:30",
+    previewDateError: "Can't read that date.",
+    formatSection: "Format",
+    templateTitle: "Custom template",
+    templateNote: "Leave empty to use the preset above. Tokens: {y} {mo} {d} {h} {m} {s}, or {largest:N} for the N largest units. Write “past|future” for separate future wording.",
+    maxUnitsTitle: "Maximum units",
+    maxUnitsNote: "How many units detailed mode and {largest} show, e.g. 2 gives “3 hours 12 minutes ago”.",
+    minUnitTitle: "Smallest unit",
+    minUnitNote: "Stop at this unit, e.g. minutes hides seconds.",
+    roundingTitle: "Rounding",
+    roundingNote: "How the last unit shown treats the remainder.",
+    roundingFloor: "Truncate",
+    roundingRound: "Round to nearest",
+    separatorTitle: "Unit separator",
+    separatorNote: "Text placed between units. Leave empty for the language's default.",
+    errNumberRange: "Enter a number from {0} to {1}.",
+    tplErrPipe: "Use at most one “|” to separate past and future wording.",
+    tplErrBrace: "Unmatched “{” or “}”.",
+    tplErrLargest: "{largest:N} needs N between 1 and 6.",
+    tplErrToken: "Unknown token {0}.",
+    tplErrMinUnit: "{0} is smaller than the smallest unit setting.",
+    tplErrNoToken: "The template needs at least one token.",
+    tplErrMix: "Use either {largest} or unit tokens, not both.",
+    hybridSection: "Hybrid mode",
+    hybridTitle: "Absolute date for older messages",
+    hybridNote: "Show relative text for recent messages and a fixed date once they pass the threshold.",
+    hybridThresholdTitle: "Switch to absolute after",
+    hybridThresholdNote: "Messages further away than this show the absolute date.",
+    absoluteFormatTitle: "Absolute date format",
+    absoluteFormatNote: "Tokens: YYYY YY MMMM MMM MM M DD D dddd ddd HH H hh h mm ss A. Put literal text in [brackets]. Leave empty for the language's default.",
+    absErrBracket: "Unmatched “[” or “]”.",
+    absErrNoToken: "The format needs at least one date or time token.",
+    gapsSection: "Message gaps",
+    showGapsTitle: "Show gaps between messages",
+    showGapsNote: "Adds a divider such as “+2h 10m after previous” where a channel went quiet.",
+    gapThresholdTitle: "Minimum gap",
+    gapThresholdNote: "Only gaps at least this long get a divider.",
+    gapAfter: "+{0} after previous",
+    dividersSection: "Day dividers",
+    dayDividersTitle: "Label day dividers",
+    dayDividersNote: "Adds how long ago the day was to Discord's date dividers, e.g. “October 12, 2026 · 7 days ago”. Updated at midnight.",
+    dayDividers_off: "Off",
+    dayDividers_relative: "Relative (7 days ago)",
+    dayDividers_calendar: "Calendar (Yesterday, Last Tuesday)",
+    dividerLastWeekday: "last {0}",
+    editedAgo: "edited {0}",
+    sentAndEdited: "sent {0} · edited {1}",
+    editedAfter: "Edited {0} after sending",
+    editedSection: "Edited messages",
+    editedShowBothTitle: "Show sent and edited age",
+    editedShowBothNote: "Next to “(edited)”, show both ages, e.g. “sent 2 hr. ago · edited 5 min. ago”, instead of only the edit.",
+    linkSection: "Links",
+    linkChipsTitle: "Show the age of message and channel links",
+    linkChipsNote: "Adds e.g. “sent 3 days ago” after links to Discord messages and “created 2 years ago” after channel links, read from the ID in the link.",
+    linkMessageAge: "sent {0}",
+    linkChannelAge: "created {0}",
+    profileSection: "User profiles",
+    profileChipsTitle: "Show account and membership age",
+    profileChipsNote: "In user popouts and profiles, adds “account created 3 years ago” from the user ID and “joined this server 2 months ago” next to the join date.",
+    accountWarnTitle: "Highlight new accounts",
+    accountWarnNote: "Accounts younger than this get a warning colour.",
+    accountWarnOff: "Off",
+    accountCreated: "account created {0}",
+    memberJoined: "joined this server {0}",
+    a11yNewAccount: "{0} (new account)",
+    surfacesSection: "Where to show timestamps",
+    surfaceFormatLabel: "Format for {0}",
+    surfaceFormat_default: "Default format",
+    surfaceFormat_detailed: "Detailed",
+    surfaceFormat_compact: "Compact",
+    surface_chat: "Chat messages",
+    surfaceNote_chat: "Message headers in channels, DMs and threads.",
+    surface_reply: "Reply previews",
+    surfaceNote_reply: "The quoted message above a reply.",
+    surface_search: "Search results",
+    surfaceNote_search: "Messages listed in the search sidebar.",
+    surface_pins: "Pinned messages",
+    surfaceNote_pins: "The pinned messages popout.",
+    surface_inbox: "Inbox",
+    surfaceNote_inbox: "Mentions and unreads in the inbox popout.",
+    surface_thread: "Thread previews",
+    surfaceNote_thread: "Thread summaries attached to chat messages.",
+    surface_forum: "Forum cards",
+    surfaceNote_forum: "Post cards in forum and media channels.",
+    surface_other: "Everywhere else",
+    surfaceNote_other: "Any other timestamp Discord shows.",
+    exportButton: "Export…",
+    importButton: "Import…",
+    toastExported: "RelativeTimestamps: settings exported",
+    toastExportFailed: "RelativeTimestamps: export failed (check console)",
+    toastImported: "RelativeTimestamps: settings imported",
+    toastImportFailed: "RelativeTimestamps: import rejected ({0} problems)",
+    importErrHeading: "Import rejected, nothing was changed:",
+    importErrJson: "The file is not valid JSON.",
+    importErrShape: "The file does not contain a settings object.",
+    importErrPlugin: "The file holds settings for “{0}”, not RelativeTimestamps.",
+    valBoolean: "{0}: expected true or false.",
+    valInteger: "{0}: expected a whole number from {1} to {2}.",
+    valNumber: "{0}: expected a number from {1} to {2}.",
+    valEnum: "{0}: expected one of {1}.",
+    valString: "{0}: expected text of at most {1} characters.",
+    valObject: "{0}: expected an object.",
+    valLocale: "“{0}” is not a language tag.",
+    valInvalid: "{0}: {1}",
+    valUnknownType: "{0}: unsupported setting.",
+    valArray: "{0}: expected a list of at most {1} entries.",
+    valSnowflake: "{0}: expected a Discord ID.",
+    overridesSection: "Server & channel overrides",
+    overridesEmpty: "No overrides yet. Channel overrides win over server ones, which win over the settings above.",
+    overrideNoChanges: "no changes",
+    overrideEnabled: "Show timestamps",
+    overrideScope: "Applies to",
+    overrideId: "Server or channel ID",
+    overrideLabel: "Name (optional)",
+    overrideLabelPlaceholder: "e.g. On-call",
+    overrideErrId: "Enter a server or channel ID (right-click → Copy ID with developer mode on).",
+    addOverrideButton: "Add override",
+    removeButton: "Remove",
+    scopeGuild: "Server",
+    scopeChannel: "Channel",
+    stateInherit: "Inherit",
+    stateOn: "On",
+    stateOff: "Off",
+    zonesSection: "Time zones on hover",
+    zonesTitle: "Extra time zones",
+    zonesNote: "The hover card lists the message time in each zone, marking a different calendar day like “(+1 day)”.",
+    cardLocal: "Local",
+    cardIso: "ISO 8601",
+    cardUnix: "Unix",
+    cardElapsed: "Elapsed",
+    cardRemaining: "Remaining",
+    cardDetailed: "Detailed",
+    cardCompact: "Compact",
+    cardSent: "Sent",
+    cardEdited: "Edit",
+    cardMessageId: "Message ID",
+    cardChannelId: "Channel ID",
+    cardUserId: "User ID",
+    copySection: "Copying",
+    clickCopyTitle: "Click to copy",
+    clickCopyNote: "What clicking a timestamp copies. Right-click it for every format. A timestamp shown in place of Discord's still jumps to the message when clicked.",
+    clickCopyOff: "Nothing",
+    copyIso: "ISO 8601",
+    copyUnix: "Unix epoch",
+    copyDiscordF: "Discord full date <t:…:F>",
+    copyDiscordR: "Discord relative <t:…:R>",
+    copyLocale: "Local date and time",
+    copyTimestamp: "Copy timestamp",
+    toastCopied: "Copied {0}",
+    toastCopyFailed: "Couldn't copy to the clipboard.",
+    composerSection: "Writing timestamps",
+    composerHelperTitle: "Timestamp helper",
+    composerHelperNote: "Adds a clock button to the message box and the Alt+T hotkey. Type “tomorrow 17:00”, “in 2h”, “fri 9am CET” or an ISO date, then pick a style to insert.",
+    composerStyleTitle: "Default style",
+    composerStyleNote: "The style Enter inserts. Picking another one in the helper remembers it.",
+    composerTitle: "Insert timestamp",
+    composerButton: "Insert timestamp (Alt+T)",
+    composerPlaceholder: "tomorrow 17:00, in 2h, fri 9am CET…",
+    composerHint: "Type a time in English, e.g. “tomorrow 17:00”, or an ISO date.",
+    composerInvalid: "Couldn't understand that date.",
+    formatterTitle: "Formatter",
+    formatterNote: "Formatters added by other plugins replace the built-in text.",
+    formatterBuiltIn: "Built-in",
+    formatterMissing: "{0} (not loaded)",
+    placementTitle: "Placement",
+    placementNote: "Put the relative time after or before Discord's timestamp, or show it in its place. Replacing hides Discord's text and tooltip; the chip's own card and copy still work.",
+    placementAfter: "After the timestamp",
+    placementBefore: "Before the timestamp",
+    placementReplace: "Replace the timestamp",
+    diagSection: "Diagnostics",
+    logLevelTitle: "Log level",
+    logLevelNote: "Messages below this level are neither printed to the console nor kept in the log. Use Debug while reproducing a problem.",
+    logLevel_debug: "Debug",
+    logLevel_info: "Info",
+    logLevel_warn: "Warnings",
+    logLevel_error: "Errors",
+    diagCounters: "Attach failures: {0} · Refresh errors: {1} · Observer errors: {2}",
+    diagPerf: "Pipeline: {0} batches · avg {1} ms · max {2} ms · last {3} ms for {4} nodes · {5} scrollers watched · {6} rescans",
+    diagFilterLevel: "Minimum level",
+    diagShowFrom: "{0} and above",
+    diagSearch: "Filter entries…",
+    diagEmpty: "The log is empty.",
+    diagNoMatches: "No entries match the filter.",
+    diagRefresh: "Refresh",
+    diagClear: "Clear",
+    diagExport: "Export…",
+    ageSection: "Age styling",
+    ageStylingTitle: "Style chips by age",
+    ageStylingNote: "Fresh messages stand out; older ones fade into the background. Colors follow your theme.",
+    ageFadeTitle: "Fade smoothly",
+    ageFadeNote: "Blend color and opacity gradually towards the next tier instead of switching at its boundary.",
+    tierUnder: "Under {0}",
+    tierOlder: "Older",
+    tierMaxAge: "Up to",
+    tierColor: "Color",
+    tierCustomColor: "Custom color",
+    tierOpacity: "Opacity",
+    tierWeight: "Weight",
+    tierBadge: "Badge",
+    tierBadgeNone: "None",
+    tierAdd: "Add tier",
+    tierErrAges: "tiers need increasing ages, and only the last one may be open-ended (null).",
+    tierErrColor: "expected a theme color name or #rrggbb.",
+    tierColor_normal: "Text",
+    tierColor_muted: "Muted",
+    tierColor_link: "Link",
+    tierColor_brand: "Brand",
+    tierColor_positive: "Green",
+    tierColor_warning: "Yellow",
+    tierColor_danger: "Red",
+    tierWeight_400: "Normal",
+    tierWeight_500: "Medium",
+    tierWeight_600: "Semibold",
+    tierWeight_700: "Bold",
+    zoneLabel: "Name",
+    zoneName: "IANA time zone",
+    addZoneButton: "Add zone",
+    zoneErrEmpty: "Enter a time zone such as Europe/Berlin or UTC.",
+    zoneErrInvalid: "“{0}” is not a time zone this system knows."
+  },
+  de: {
+    toastEnabled: "RelativeTimestamps: aktiviert",
+    toastDisabled: "RelativeTimestamps: deaktiviert",
+    toastStartFailed: "RelativeTimestamps: Start fehlgeschlagen (siehe Konsole)",
+    toastReset: "RelativeTimestamps: Einstellungen zurückgesetzt",
+    settingsHeader: "RelativeTimestamps-Einstellungen",
+    detailedTitle: "Detaillierte Zeitangaben",
+    detailedNote: "Beispiel: „vor 5 Minuten, 22 Sekunden“ statt „vor 5 Min.“.",
+    liveUpdateTitle: "Live aktualisieren",
+    liveUpdateNote: "Hält sichtbare Zeitangaben in Echtzeit aktuell und aktualisiert jede nur, wenn sich ihr Text ändert.",
+    reduceUpdatesTitle: "Weniger Aktualisierungen",
+    reduceUpdatesNote: "Höchstens einmal pro Minute aktualisieren und Sekunden weglassen. „Automatisch“ folgt der Systemeinstellung für reduzierte Bewegung.",
+    reduceUpdates_auto: "Automatisch",
+    reduceUpdates_on: "An",
+    reduceUpdates_off: "Aus",
+    showTooltipTitle: "Details beim Überfahren",
+    showTooltipNote: "Überfahren oder Fokussieren öffnet eine Karte mit vollem Datum, ISO, Unix-Zeit und genauem Alter. Escape schließt sie.",
+    localeTitle: "Sprache",
+    localeNote: "Sprache für Zeitangaben und dieses Menü.",
+    localeAuto: "Discord-Sprache ({0})",
+    resetButton: "Auf Standard zurücksetzen",
+    previewSection: "Vorschau",
+    previewDateLabel: "Eigenes Datum",
+    previewDateNote: "Beliebiges Datum testen: „2024-03-01 14:00“, „tomorrow 9am“, „in 3 days“ oder eine Unix-Zeit.",
+    previewDatePlaceholder: "z. B. friday 17:30",
+    previewDateError: "Dieses Datum ist nicht lesbar.",
+    formatSection: "Format",
+    templateTitle: "Eigene Vorlage",
+    templateNote: "Leer lassen, um die Voreinstellung oben zu nutzen. Platzhalter: {y} {mo} {d} {h} {m} {s} oder {largest:N} für die N größten Einheiten. „Vergangenheit|Zukunft“ trennt die Zukunftsform ab.",
+    maxUnitsTitle: "Maximale Einheiten",
+    maxUnitsNote: "Wie viele Einheiten der Detailmodus und {largest} zeigen, z. B. 2 ergibt „vor 3 Stunden, 12 Minuten“.",
+    minUnitTitle: "Kleinste Einheit",
+    minUnitNote: "Bei dieser Einheit aufhören, z. B. blendet „Minute“ Sekunden aus.",
+    roundingTitle: "Rundung",
+    roundingNote: "Wie die letzte angezeigte Einheit mit dem Rest umgeht.",
+    roundingFloor: "Abschneiden",
+    roundingRound: "Kaufmännisch runden",
+    separatorTitle: "Trennzeichen",
+    separatorNote: "Text zwischen den Einheiten. Leer lassen für den Standard der Sprache.",
+    errNumberRange: "Gib eine Zahl von {0} bis {1} ein.",
+    tplErrPipe: "Höchstens ein „|“ zum Trennen von Vergangenheit und Zukunft verwenden.",
+    tplErrBrace: "„{“ oder „}“ ohne Gegenstück.",
+    tplErrLargest: "{largest:N} braucht ein N zwischen 1 und 6.",
+    tplErrToken: "Unbekannter Platzhalter {0}.",
+    tplErrMinUnit: "{0} ist kleiner als die eingestellte kleinste Einheit.",
+    tplErrNoToken: "Die Vorlage braucht mindestens einen Platzhalter.",
+    tplErrMix: "Entweder {largest} oder Einheiten-Platzhalter verwenden, nicht beides.",
+    hybridSection: "Hybridmodus",
+    hybridTitle: "Festes Datum für ältere Nachrichten",
+    hybridNote: "Neue Nachrichten relativ anzeigen und ab dem Schwellenwert ein festes Datum.",
+    hybridThresholdTitle: "Zum festen Datum wechseln nach",
+    hybridThresholdNote: "Weiter entfernte Nachrichten zeigen das feste Datum.",
+    absoluteFormatTitle: "Format für festes Datum",
+    absoluteFormatNote: "Platzhalter: YYYY YY MMMM MMM MM M DD D dddd ddd HH H hh h mm ss A. Wörtlichen Text in [Klammern] setzen. Leer lassen für den Standard der Sprache.",
+    absErrBracket: "„[“ oder „]“ ohne Gegenstück.",
+    absErrNoToken: "Das Format braucht mindestens einen Datums- oder Zeitplatzhalter.",
+    gapsSection: "Nachrichtenabstände",
+    showGapsTitle: "Abstände zwischen Nachrichten anzeigen",
+    showGapsNote: "Fügt eine Trennlinie wie „+2 Std. 10 Min. nach der vorherigen“ ein, wo es im Kanal still war.",
+    gapThresholdTitle: "Mindestabstand",
+    gapThresholdNote: "Nur Abstände ab dieser Länge erhalten eine Trennlinie.",
+    gapAfter: "+{0} nach der vorherigen",
+    dividersSection: "Tagestrenner",
+    dayDividersTitle: "Tagestrenner beschriften",
+    dayDividersNote: "Ergänzt Discords Datumstrenner um das Alter des Tages, z. B. „12. Oktober 2026 · vor 7 Tagen“. Wird um Mitternacht aktualisiert.",
+    dayDividers_off: "Aus",
+    dayDividers_relative: "Relativ (vor 7 Tagen)",
+    dayDividers_calendar: "Kalender (Gestern, Letzten Dienstag)",
+    dividerLastWeekday: "letzten {0}",
+    editedAgo: "bearbeitet {0}",
+    sentAndEdited: "gesendet {0} · bearbeitet {1}",
+    editedAfter: "{0} nach dem Senden bearbeitet",
+    editedSection: "Bearbeitete Nachrichten",
+    editedShowBothTitle: "Sende- und Bearbeitungsalter anzeigen",
+    editedShowBothNote: "Neben „(bearbeitet)“ beide Zeiten zeigen, z. B. „gesendet vor 2 Std. · bearbeitet vor 5 Min.“, statt nur der Bearbeitung.",
+    linkSection: "Links",
+    linkChipsTitle: "Alter von Nachrichten- und Kanallinks anzeigen",
+    linkChipsNote: "Zeigt z. B. „gesendet vor 3 Tagen“ hinter Links auf Discord-Nachrichten und „erstellt vor 2 Jahren“ hinter Kanallinks, gelesen aus der ID im Link.",
+    linkMessageAge: "gesendet {0}",
+    linkChannelAge: "erstellt {0}",
+    profileSection: "Benutzerprofile",
+    profileChipsTitle: "Konto- und Mitgliedsalter anzeigen",
+    profileChipsNote: "Zeigt in Profil-Popouts und Profilen „Konto erstellt vor 3 Jahren“ (aus der Benutzer-ID) und neben dem Beitrittsdatum „Server beigetreten vor 2 Monaten“.",
+    accountWarnTitle: "Neue Konten hervorheben",
+    accountWarnNote: "Jüngere Konten erhalten eine Warnfarbe.",
+    accountWarnOff: "Aus",
+    accountCreated: "Konto erstellt {0}",
+    memberJoined: "Server beigetreten {0}",
+    a11yNewAccount: "{0} (neues Konto)",
+    surfacesSection: "Wo Zeitangaben erscheinen",
+    surfaceFormatLabel: "Format für {0}",
+    surfaceFormat_default: "Standardformat",
+    surfaceFormat_detailed: "Detailliert",
+    surfaceFormat_compact: "Kompakt",
+    surface_chat: "Chatnachrichten",
+    surfaceNote_chat: "Nachrichtenköpfe in Kanälen, DMs und Threads.",
+    surface_reply: "Antwortvorschauen",
+    surfaceNote_reply: "Die zitierte Nachricht über einer Antwort.",
+    surface_search: "Suchergebnisse",
+    surfaceNote_search: "Nachrichten in der Suchleiste.",
+    surface_pins: "Angepinnte Nachrichten",
+    surfaceNote_pins: "Das Popout mit angepinnten Nachrichten.",
+    surface_inbox: "Posteingang",
+    surfaceNote_inbox: "Erwähnungen und Ungelesenes im Posteingang.",
+    surface_thread: "Thread-Vorschauen",
+    surfaceNote_thread: "Thread-Zusammenfassungen unter Chatnachrichten.",
+    surface_forum: "Forumskarten",
+    surfaceNote_forum: "Beitragskarten in Forum- und Medienkanälen.",
+    surface_other: "Überall sonst",
+    surfaceNote_other: "Alle anderen Zeitangaben in Discord.",
+    exportButton: "Exportieren…",
+    importButton: "Importieren…",
+    toastExported: "RelativeTimestamps: Einstellungen exportiert",
+    toastExportFailed: "RelativeTimestamps: Export fehlgeschlagen (siehe Konsole)",
+    toastImported: "RelativeTimestamps: Einstellungen importiert",
+    toastImportFailed: "RelativeTimestamps: Import abgelehnt ({0} Probleme)",
+    importErrHeading: "Import abgelehnt, nichts wurde geändert:",
+    importErrJson: "Die Datei ist kein gültiges JSON.",
+    importErrShape: "Die Datei enthält kein Einstellungsobjekt.",
+    importErrPlugin: "Die Datei enthält Einstellungen für „{0}“, nicht für RelativeTimestamps.",
+    valBoolean: "{0}: true oder false erwartet.",
+    valInteger: "{0}: ganze Zahl von {1} bis {2} erwartet.",
+    valNumber: "{0}: Zahl von {1} bis {2} erwartet.",
+    valEnum: "{0}: einer der Werte {1} erwartet.",
+    valString: "{0}: Text mit höchstens {1} Zeichen erwartet.",
+    valObject: "{0}: Objekt erwartet.",
+    valLocale: "„{0}“ ist kein Sprachcode.",
+    valInvalid: "{0}: {1}",
+    valUnknownType: "{0}: nicht unterstützte Einstellung.",
+    valArray: "{0}: Liste mit höchstens {1} Einträgen erwartet.",
+    valSnowflake: "{0}: Discord-ID erwartet.",
+    overridesSection: "Server- und Kanalausnahmen",
+    overridesEmpty: "Noch keine Ausnahmen. Kanalausnahmen gehen Serverausnahmen vor, diese den Einstellungen oben.",
+    overrideNoChanges: "keine Änderungen",
+    overrideEnabled: "Zeitangaben anzeigen",
+    overrideScope: "Gilt für",
+    overrideId: "Server- oder Kanal-ID",
+    overrideLabel: "Name (optional)",
+    overrideLabelPlaceholder: "z. B. Bereitschaft",
+    overrideErrId: "Gib eine Server- oder Kanal-ID ein (Rechtsklick → ID kopieren, bei aktiviertem Entwicklermodus).",
+    addOverrideButton: "Ausnahme hinzufügen",
+    removeButton: "Entfernen",
+    scopeGuild: "Server",
+    scopeChannel: "Kanal",
+    stateInherit: "Übernehmen",
+    stateOn: "An",
+    stateOff: "Aus",
+    zonesSection: "Zeitzonen beim Überfahren",
+    zonesTitle: "Weitere Zeitzonen",
+    zonesNote: "Die Detailkarte zeigt die Nachrichtenzeit in jeder Zone und markiert einen anderen Kalendertag wie „(+1 Tag)“.",
+    cardLocal: "Lokal",
+    cardIso: "ISO 8601",
+    cardUnix: "Unix",
+    cardElapsed: "Vergangen",
+    cardRemaining: "Verbleibend",
+    cardDetailed: "Ausführlich",
+    cardCompact: "Kompakt",
+    cardSent: "Gesendet",
+    cardEdited: "Bearbeitung",
+    cardMessageId: "Nachrichten-ID",
+    cardChannelId: "Kanal-ID",
+    cardUserId: "Benutzer-ID",
+    copySection: "Kopieren",
+    clickCopyTitle: "Klicken zum Kopieren",
+    clickCopyNote: "Was ein Klick auf einen Zeitstempel kopiert. Rechtsklick bietet alle Formate. Ein Zeitstempel, der Discords ersetzt, springt beim Klicken weiterhin zur Nachricht.",
+    clickCopyOff: "Nichts",
+    copyIso: "ISO 8601",
+    copyUnix: "Unix-Zeit",
+    copyDiscordF: "Discord-Datum <t:…:F>",
+    copyDiscordR: "Discord relativ <t:…:R>",
+    copyLocale: "Lokales Datum und Uhrzeit",
+    copyTimestamp: "Zeitstempel kopieren",
+    toastCopied: "{0} kopiert",
+    toastCopyFailed: "Kopieren in die Zwischenablage fehlgeschlagen.",
+    composerSection: "Zeitstempel schreiben",
+    composerHelperTitle: "Zeitstempel-Helfer",
+    composerHelperNote: "Fügt dem Nachrichtenfeld einen Uhr-Knopf und das Tastenkürzel Alt+T hinzu. Gib „tomorrow 17:00“, „in 2h“, „fri 9am CET“ oder ein ISO-Datum ein und wähle einen Stil zum Einfügen.",
+    composerStyleTitle: "Standardstil",
+    composerStyleNote: "Der Stil, den Enter einfügt. Eine andere Wahl im Helfer wird gemerkt.",
+    composerTitle: "Zeitstempel einfügen",
+    composerButton: "Zeitstempel einfügen (Alt+T)",
+    composerPlaceholder: "tomorrow 17:00, in 2h, fri 9am CET…",
+    composerHint: "Gib eine Zeit auf Englisch ein, z. B. „tomorrow 17:00“, oder ein ISO-Datum.",
+    composerInvalid: "Dieses Datum wurde nicht verstanden.",
+    formatterTitle: "Formatierer",
+    formatterNote: "Formatierer aus anderen Plugins ersetzen den eingebauten Text.",
+    formatterBuiltIn: "Eingebaut",
+    formatterMissing: "{0} (nicht geladen)",
+    placementTitle: "Position",
+    placementNote: "Relative Zeit nach oder vor Discords Zeitstempel setzen oder an seiner Stelle zeigen. Beim Ersetzen verschwinden Discords Text und Tooltip; Karte und Kopieren des Chips funktionieren weiter.",
+    placementAfter: "Nach dem Zeitstempel",
+    placementBefore: "Vor dem Zeitstempel",
+    placementReplace: "Zeitstempel ersetzen",
+    diagSection: "Diagnose",
+    logLevelTitle: "Protokollstufe",
+    logLevelNote: "Meldungen unterhalb dieser Stufe werden weder in der Konsole ausgegeben noch gespeichert. Nutze Debug, während du ein Problem nachstellst.",
+    logLevel_debug: "Debug",
+    logLevel_info: "Info",
+    logLevel_warn: "Warnungen",
+    logLevel_error: "Fehler",
+    diagCounters: "Fehler beim Anhängen: {0} · Aktualisierungsfehler: {1} · Observer-Fehler: {2}",
+    diagPerf: "Verarbeitung: {0} Durchläufe · Ø {1} ms · max. {2} ms · zuletzt {3} ms für {4} Knoten · {5} überwachte Listen · {6} Suchläufe",
+    diagFilterLevel: "Mindeststufe",
+    diagShowFrom: "Ab {0}",
+    diagSearch: "Einträge filtern…",
+    diagEmpty: "Das Protokoll ist leer.",
+    diagNoMatches: "Keine Einträge passen zum Filter.",
+    diagRefresh: "Aktualisieren",
+    diagClear: "Leeren",
+    diagExport: "Exportieren…",
+    ageSection: "Darstellung nach Alter",
+    ageStylingTitle: "Zeitstempel nach Alter gestalten",
+    ageStylingNote: "Neue Nachrichten fallen auf, ältere treten in den Hintergrund. Die Farben folgen deinem Theme.",
+    ageFadeTitle: "Weich überblenden",
+    ageFadeNote: "Farbe und Deckkraft gleiten allmählich zur nächsten Stufe, statt an der Grenze umzuspringen.",
+    tierUnder: "Unter {0}",
+    tierOlder: "Älter",
+    tierMaxAge: "Bis",
+    tierColor: "Farbe",
+    tierCustomColor: "Eigene Farbe",
+    tierOpacity: "Deckkraft",
+    tierWeight: "Schriftstärke",
+    tierBadge: "Abzeichen",
+    tierBadgeNone: "Keins",
+    tierAdd: "Stufe hinzufügen",
+    tierErrAges: "Stufen brauchen aufsteigende Alter, nur die letzte darf offen sein (null).",
+    tierErrColor: "Theme-Farbname oder #rrggbb erwartet.",
+    tierColor_normal: "Text",
+    tierColor_muted: "Gedämpft",
+    tierColor_link: "Link",
+    tierColor_brand: "Marke",
+    tierColor_positive: "Grün",
+    tierColor_warning: "Gelb",
+    tierColor_danger: "Rot",
+    tierWeight_400: "Normal",
+    tierWeight_500: "Mittel",
+    tierWeight_600: "Halbfett",
+    tierWeight_700: "Fett",
+    zoneLabel: "Name",
+    zoneName: "IANA-Zeitzone",
+    addZoneButton: "Zone hinzufügen",
+    zoneErrEmpty: "Gib eine Zeitzone wie Europe/Berlin oder UTC ein.",
+    zoneErrInvalid: "„{0}“ ist keine Zeitzone, die dieses System kennt."
+  },
+  ja: {
+    toastEnabled: "RelativeTimestamps: 有効化しました",
+    toastDisabled: "RelativeTimestamps: 無効化しました",
+    toastStartFailed: "RelativeTimestamps: 起動に失敗しました（コンソールを確認してください）",
+    toastReset: "RelativeTimestamps: 設定をリセットしました",
+    settingsHeader: "RelativeTimestamps 設定",
+    detailedTitle: "詳細な時間表示",
+    detailedNote: "例:「5 分前」ではなく「5 分22 秒前」と表示します。",
+    liveUpdateTitle: "リアルタイム更新",
+    liveUpdateNote: "表示中の相対時間を、文字が変わるときだけリアルタイムで更新します。",
+    reduceUpdatesTitle: "更新を減らす",
+    reduceUpdatesNote: "更新は最大で1分に1回にし、秒を表示しません。「自動」はシステムの「視差効果を減らす」設定に従います。",
+    reduceUpdates_auto: "自動",
+    reduceUpdates_on: "オン",
+    reduceUpdates_off: "オフ",
+    showTooltipTitle: "ホバーで詳細を表示",
+    showTooltipNote: "ホバーまたはフォーカスで、完全な日時・ISO・Unix 時間・正確な経過時間を示すカードを開きます。Escape で閉じます。",
+    localeTitle: "言語",
+    localeNote: "時間表示とこの設定画面で使う言語です。",
+    localeAuto: "Discord の言語（{0}）",
+    resetButton: "デフォルトに戻す",
+    previewSection: "プレビュー",
+    previewDateLabel: "任意の日時",
+    previewDateNote: "「2024-03-01 14:00」「tomorrow 9am」「in 3 days」や Unix 時間などを試せます。",
+    previewDatePlaceholder: "例: friday 17:30",
+    previewDateError: "この日時は読み取れません。",
+    formatSection: "表示形式",
+    templateTitle: "カスタムテンプレート",
+    templateNote: "空欄なら上のプリセットを使います。トークン: {y} {mo} {d} {h} {m} {s}、または上位 N 単位を表す {largest:N}。「過去|未来」で未来用の表現を分けられます。",
+    maxUnitsTitle: "最大単位数",
+    maxUnitsNote: "詳細表示と {largest} で表示する単位の数です。例: 2 なら「3 時間12 分前」。",
+    minUnitTitle: "最小単位",
+    minUnitNote: "この単位で打ち切ります。例: 分にすると秒を表示しません。",
+    roundingTitle: "丸め",
+    roundingNote: "最後に表示する単位の端数の扱いです。",
+    roundingFloor: "切り捨て",
+    roundingRound: "四捨五入",
+    separatorTitle: "単位の区切り",
+    separatorNote: "単位の間に入れる文字です。空欄なら言語の既定値を使います。",
+    errNumberRange: "{0}〜{1} の数値を入力してください。",
+    tplErrPipe: "過去と未来を分ける「|」は 1 つまでです。",
+    tplErrBrace: "対応していない「{」または「}」があります。",
+    tplErrLargest: "{largest:N} の N は 1〜6 にしてください。",
+    tplErrToken: "不明なトークン {0} です。",
+    tplErrMinUnit: "{0} は最小単位の設定より小さい単位です。",
+    tplErrNoToken: "テンプレートには少なくとも 1 つのトークンが必要です。",
+    tplErrMix: "{largest} と単位トークンは同時に使えません。",
+    hybridSection: "ハイブリッドモード",
+    hybridTitle: "古いメッセージは日時で表示",
+    hybridNote: "新しいメッセージは相対時間で、しきい値を超えたら固定の日時で表示します。",
+    hybridThresholdTitle: "日時表示に切り替えるまで",
+    hybridThresholdNote: "これより離れたメッセージは日時で表示します。",
+    absoluteFormatTitle: "日時の形式",
+    absoluteFormatNote: "トークン: YYYY YY MMMM MMM MM M DD D dddd ddd HH H hh h mm ss A。文字をそのまま出すには [角かっこ] で囲みます。空欄なら言語の既定値を使います。",
+    absErrBracket: "対応していない「[」または「]」があります。",
+    absErrNoToken: "日付または時刻のトークンが少なくとも 1 つ必要です。",
+    gapsSection: "メッセージの間隔",
+    showGapsTitle: "メッセージ間の間隔を表示",
+    showGapsNote: "チャンネルが静かだった箇所に「前のメッセージから +2時間 10分」のような区切りを入れます。",
+    gapThresholdTitle: "最小間隔",
+    gapThresholdNote: "この長さ以上の間隔にだけ区切りを表示します。",
+    gapAfter: "前のメッセージから +{0}",
+    dividersSection: "日付の区切り線",
+    dayDividersTitle: "区切り線にラベルを付ける",
+    dayDividersNote: "Discord の日付区切りに、その日からの経過時間を追加します(例:「2026年10月12日 · 7日前」)。深夜0時に更新されます。",
+    dayDividers_off: "オフ",
+    dayDividers_relative: "相対(7日前)",
+    dayDividers_calendar: "カレンダー(昨日、この前の火曜日)",
+    dividerLastWeekday: "この前の{0}",
+    editedAgo: "{0}に編集",
+    sentAndEdited: "{0}に送信・{1}に編集",
+    editedAfter: "送信から {0} 後に編集",
+    editedSection: "編集されたメッセージ",
+    editedShowBothTitle: "送信と編集の経過時間を表示",
+    editedShowBothNote: "「(編集済み)」の横に編集だけでなく「2時間前に送信・5分前に編集」のように両方を表示します。",
+    linkSection: "リンク",
+    linkChipsTitle: "メッセージとチャンネルのリンクに経過時間を表示",
+    linkChipsNote: "Discord のメッセージへのリンクには「3日前に送信」、チャンネルへのリンクには「2年前に作成」のように、リンク内の ID から読み取った時間を表示します。",
+    linkMessageAge: "{0}に送信",
+    linkChannelAge: "{0}に作成",
+    profileSection: "ユーザープロフィール",
+    profileChipsTitle: "アカウントとメンバーの経過時間を表示",
+    profileChipsNote: "ユーザーのポップアウトとプロフィールに、ユーザー ID から読み取った「3年前にアカウント作成」と、参加日の横に「2か月前にサーバー参加」を表示します。",
+    accountWarnTitle: "新しいアカウントを強調",
+    accountWarnNote: "これより新しいアカウントを警告色で表示します。",
+    accountWarnOff: "オフ",
+    accountCreated: "{0}にアカウント作成",
+    memberJoined: "{0}にサーバー参加",
+    a11yNewAccount: "{0}（新しいアカウント）",
+    surfacesSection: "時間を表示する場所",
+    surfaceFormatLabel: "{0} の表示形式",
+    surfaceFormat_default: "既定の形式",
+    surfaceFormat_detailed: "詳細",
+    surfaceFormat_compact: "コンパクト",
+    surface_chat: "チャットメッセージ",
+    surfaceNote_chat: "チャンネル・DM・スレッドのメッセージヘッダーです。",
+    surface_reply: "返信プレビュー",
+    surfaceNote_reply: "返信の上に表示される引用メッセージです。",
+    surface_search: "検索結果",
+    surfaceNote_search: "検索サイドバーに並ぶメッセージです。",
+    surface_pins: "ピン留めメッセージ",
+    surfaceNote_pins: "ピン留めメッセージのポップアウトです。",
+    surface_inbox: "受信トレイ",
+    surfaceNote_inbox: "受信トレイのメンションと未読です。",
+    surface_thread: "スレッドプレビュー",
+    surfaceNote_thread: "チャットメッセージに付くスレッドの概要です。",
+    surface_forum: "フォーラムカード",
+    surfaceNote_forum: "フォーラム・メディアチャンネルの投稿カードです。",
+    surface_other: "その他すべて",
+    surfaceNote_other: "Discord が表示するその他の時間です。",
+    exportButton: "エクスポート…",
+    importButton: "インポート…",
+    toastExported: "RelativeTimestamps: 設定をエクスポートしました",
+    toastExportFailed: "RelativeTimestamps: エクスポートに失敗しました（コンソールを確認してください）",
+    toastImported: "RelativeTimestamps: 設定をインポートしました",
+    toastImportFailed: "RelativeTimestamps: インポートを拒否しました（問題 {0} 件）",
+    importErrHeading: "インポートを拒否しました。何も変更されていません:",
+    importErrJson: "ファイルが正しい JSON ではありません。",
+    importErrShape: "ファイルに設定オブジェクトが含まれていません。",
+    importErrPlugin: "このファイルは RelativeTimestamps ではなく「{0}」の設定です。",
+    valBoolean: "{0}: true か false を指定してください。",
+    valInteger: "{0}: {1}〜{2} の整数を指定してください。",
+    valNumber: "{0}: {1}〜{2} の数値を指定してください。",
+    valEnum: "{0}: {1} のいずれかを指定してください。",
+    valString: "{0}: {1} 文字以内のテキストを指定してください。",
+    valObject: "{0}: オブジェクトを指定してください。",
+    valLocale: "「{0}」は言語タグではありません。",
+    valInvalid: "{0}: {1}",
+    valUnknownType: "{0}: 未対応の設定です。",
+    valArray: "{0}: {1} 件以内のリストを指定してください。",
+    valSnowflake: "{0}: Discord の ID を指定してください。",
+    overridesSection: "サーバー・チャンネルごとの設定",
+    overridesEmpty: "まだありません。チャンネルの設定はサーバーの設定より、サーバーの設定は上の設定より優先されます。",
+    overrideNoChanges: "変更なし",
+    overrideEnabled: "時間を表示",
+    overrideScope: "対象",
+    overrideId: "サーバーまたはチャンネルの ID",
+    overrideLabel: "名前（任意）",
+    overrideLabelPlaceholder: "例: オンコール",
+    overrideErrId: "サーバーまたはチャンネルの ID を入力してください（開発者モードで右クリック →「ID をコピー」）。",
+    addOverrideButton: "追加",
+    removeButton: "削除",
+    scopeGuild: "サーバー",
+    scopeChannel: "チャンネル",
+    stateInherit: "継承",
+    stateOn: "オン",
+    stateOff: "オフ",
+    zonesSection: "ホバー時のタイムゾーン",
+    zonesTitle: "追加のタイムゾーン",
+    zonesNote: "詳細カードに各ゾーンでのメッセージ時刻を表示し、日付が違う場合は「(+1 日)」のように示します。",
+    cardLocal: "ローカル",
+    cardIso: "ISO 8601",
+    cardUnix: "Unix",
+    cardElapsed: "経過",
+    cardRemaining: "残り",
+    cardDetailed: "詳細",
+    cardCompact: "簡潔",
+    cardSent: "送信",
+    cardEdited: "編集",
+    cardMessageId: "メッセージ ID",
+    cardChannelId: "チャンネル ID",
+    cardUserId: "ユーザー ID",
+    copySection: "コピー",
+    clickCopyTitle: "クリックでコピー",
+    clickCopyNote: "タイムスタンプをクリックしたときにコピーする形式です。右クリックですべての形式を選べます。Discord のタイムスタンプを置き換えている場合、クリックは従来どおりメッセージへ移動します。",
+    clickCopyOff: "なし",
+    copyIso: "ISO 8601",
+    copyUnix: "Unix 時間",
+    copyDiscordF: "Discord 日時 <t:…:F>",
+    copyDiscordR: "Discord 相対時間 <t:…:R>",
+    copyLocale: "ローカル日時",
+    copyTimestamp: "タイムスタンプをコピー",
+    toastCopied: "{0} をコピーしました",
+    toastCopyFailed: "クリップボードにコピーできませんでした。",
+    composerSection: "タイムスタンプの入力",
+    composerHelperTitle: "タイムスタンプ入力補助",
+    composerHelperNote: "メッセージ欄に時計ボタンと Alt+T ショートカットを追加します。「tomorrow 17:00」「in 2h」「fri 9am CET」や ISO 形式の日付を入力し、挿入するスタイルを選びます。",
+    composerStyleTitle: "既定のスタイル",
+    composerStyleNote: "Enter で挿入するスタイルです。補助画面で別のものを選ぶと記憶されます。",
+    composerTitle: "タイムスタンプを挿入",
+    composerButton: "タイムスタンプを挿入 (Alt+T)",
+    composerPlaceholder: "tomorrow 17:00, in 2h, fri 9am CET…",
+    composerHint: "「tomorrow 17:00」のような英語の表現か ISO 形式の日付を入力してください。",
+    composerInvalid: "日付を解釈できませんでした。",
+    formatterTitle: "フォーマッター",
+    formatterNote: "他のプラグインが追加したフォーマッターで組み込みの表示を置き換えます。",
+    formatterBuiltIn: "組み込み",
+    formatterMissing: "{0} (未読み込み)",
+    placementTitle: "表示位置",
+    placementNote: "相対時間を Discord のタイムスタンプの後ろか前に置くか、置き換えて表示します。置き換えると Discord の文字とツールチップは隠れますが、チップのカードとコピーは使えます。",
+    placementAfter: "タイムスタンプの後ろ",
+    placementBefore: "タイムスタンプの前",
+    placementReplace: "タイムスタンプを置き換える",
+    diagSection: "診断",
+    logLevelTitle: "ログレベル",
+    logLevelNote: "このレベル未満のメッセージはコンソールに出力されず、ログにも残りません。問題を再現するときは「デバッグ」にしてください。",
+    logLevel_debug: "デバッグ",
+    logLevel_info: "情報",
+    logLevel_warn: "警告",
+    logLevel_error: "エラー",
+    diagCounters: "追加の失敗: {0} · 更新エラー: {1} · 監視エラー: {2}",
+    diagPerf: "処理: {0} 回 · 平均 {1} ms · 最大 {2} ms · 直近 {3} ms ({4} ノード) · 監視中のリスト {5} 件 · 再探索 {6} 回",
+    diagFilterLevel: "最小レベル",
+    diagShowFrom: "{0}以上",
+    diagSearch: "ログを絞り込む…",
+    diagEmpty: "ログは空です。",
+    diagNoMatches: "条件に一致する項目はありません。",
+    diagRefresh: "更新",
+    diagClear: "消去",
+    diagExport: "エクスポート…",
+    ageSection: "経過時間による表示",
+    ageStylingTitle: "経過時間でスタイルを変える",
+    ageStylingNote: "新しいメッセージを目立たせ、古いものは控えめに表示します。色はテーマに従います。",
+    ageFadeTitle: "なめらかに変化",
+    ageFadeNote: "境界で切り替えず、色と不透明度を次の段階へ徐々に近づけます。",
+    tierUnder: "{0}未満",
+    tierOlder: "それ以前",
+    tierMaxAge: "上限",
+    tierColor: "色",
+    tierCustomColor: "カスタム色",
+    tierOpacity: "不透明度",
+    tierWeight: "太さ",
+    tierBadge: "バッジ",
+    tierBadgeNone: "なし",
+    tierAdd: "段階を追加",
+    tierErrAges: "段階は経過時間の昇順で、最後の段階だけが上限なし (null) にできます。",
+    tierErrColor: "テーマの色名か #rrggbb を指定してください。",
+    tierColor_normal: "テキスト",
+    tierColor_muted: "控えめ",
+    tierColor_link: "リンク",
+    tierColor_brand: "ブランド",
+    tierColor_positive: "緑",
+    tierColor_warning: "黄",
+    tierColor_danger: "赤",
+    tierWeight_400: "標準",
+    tierWeight_500: "中",
+    tierWeight_600: "やや太字",
+    tierWeight_700: "太字",
+    zoneLabel: "名前",
+    zoneName: "IANA タイムゾーン",
+    addZoneButton: "追加",
+    zoneErrEmpty: "Europe/Berlin や UTC のようなタイムゾーンを入力してください。",
+    zoneErrInvalid: "「{0}」はこのシステムで使えるタイムゾーンではありません。"
+  }
+};
+
+/** Calendar units, largest first, as named by Intl. */
+const UNITS = ["year", "month", "day", "hour", "minute", "second"];
+
+/** Nominal unit lengths; only used for rounding offsets, never for calendar math. */
+const UNIT_MS = {
+  year: 365.25 * 86400000,
+  month: 30.44 * 86400000,
+  day: 86400000,
+  hour: 3600000,
+  minute: 60000,
+  second: 1000
+};
+
+/** Settings that change what a chip says (and so need an immediate re-render). */
+const FORMAT_KEYS = [
+  "detailed", "showTooltip", "locale", "template", "maxUnits", "minUnit", "rounding", "separator",
+  "hybrid", "hybridThreshold", "absoluteFormat", "editedShowBoth", "tooltipZones", "formatter",
+  "ageStyling", "ageFade", "ageTiers", "accountWarnDays", "reduceUpdates"
+];
+
+/** Gap sizes offered in the settings panel, in seconds. */
+const GAP_THRESHOLDS = [60, 5 * 60, 15 * 60, 3600, 6 * 3600, 86400];
+
+/** New-account warning thresholds offered in the settings panel, in days (0 = off). */
+const ACCOUNT_WARN_DAYS = [0, 1, 3, 7, 14, 30, 90];
+
+/** What a chip can copy; `label` is the STRINGS key shown in menus and settings. */
+const COPY_FORMATS = [
+  { id: "iso", label: "copyIso" },
+  { id: "unix", label: "copyUnix" },
+  { id: "discordF", label: "copyDiscordF" },
+  { id: "discordR", label: "copyDiscordR" },
+  { id: "locale", label: "copyLocale" }
+];
+
+/**
+ * Discord's timestamp markdown styles (<t:unix:STYLE>) with Intl options that
+ * approximate how the client renders them. "R" is relative, so it goes
+ * through format() instead.
+ */
+const DISCORD_STYLES = [
+  { style: "t", options: { timeStyle: "short" } },
+  { style: "T", options: { timeStyle: "medium" } },
+  { style: "d", options: { dateStyle: "short" } },
+  { style: "D", options: { dateStyle: "long" } },
+  { style: "f", options: { dateStyle: "long", timeStyle: "short" } },
+  { style: "F", options: { dateStyle: "full", timeStyle: "short" } },
+  { style: "R", options: null }
+];
+
+/** Words the composer helper understands in "in 2h" / "3 days ago", by unit. */
+const DURATION_WORDS = Object.fromEntries([
+  ["second", ["s", "sec", "secs", "second", "seconds"]],
+  ["minute", ["m", "min", "mins", "minute", "minutes"]],
+  ["hour", ["h", "hr", "hrs", "hour", "hours"]],
+  ["day", ["d", "day", "days"]],
+  ["week", ["w", "wk", "wks", "week", "weeks"]],
+  ["month", ["mo", "mos", "month", "months"]],
+  ["year", ["y", "yr", "yrs", "year", "years"]]
+].flatMap(([unit, words]) => words.map(w => [w, unit])));
+
+/** Common zone abbreviations as fixed UTC offsets in minutes ("CET" is always +1, even in summer). */
+const ZONE_ABBREVIATIONS = {
+  utc: 0, gmt: 0, bst: 60, cet: 60, cest: 120, eet: 120, eest: 180, msk: 180, ist: 330,
+  jst: 540, kst: 540, aest: 600, aedt: 660, est: -300, edt: -240, cst: -360, cdt: -300,
+  mst: -420, mdt: -360, pst: -480, pdt: -420
+};
+
+/** Theme colors an age tier can use, as Discord CSS variables with fallbacks. */
+const TIER_COLORS = {
+  normal: "var(--text-normal, #dbdee1)",
+  muted: "var(--text-muted, #949ba4)",
+  link: "var(--text-link, #00a8fc)",
+  brand: "var(--text-brand, var(--brand-experiment, #5865f2))",
+  positive: "var(--text-positive, #23a55a)",
+  warning: "var(--text-warning, #f0b232)",
+  danger: "var(--text-danger, #f23f43)"
+};
+
+/** Upper bounds (seconds) offered for age tiers. */
+const TIER_AGES = [60, 5 * 60, 15 * 60, 3600, 6 * 3600, 86400, 7 * 86400, 30 * 86400, 365 * 86400];
+
+const TIER_WEIGHTS = [400, 500, 600, 700];
+
+/** Events other plugins can subscribe to through getApi().on(). */
+const API_EVENTS = ["attached", "refreshed", "settingsChanged"];
+
+/** Discord snowflakes count milliseconds from 2015-01-01T00:00:00Z in their top 42 bits. */
+const DISCORD_EPOCH = 1420070400000n;
+
+/**
+ * Places a <time> can appear, most specific first: the first rule whose
+ * selector matches an ancestor wins. Discord's class names carry hashed
+ * suffixes, hence the substring matches.
+ */
+const SURFACES = [
+  { id: "reply", selector: '[class*="repliedMessage"], [class*="repliedTextPreview"]' },
+  { id: "search", selector: '[class*="searchResultsWrap"], [class*="searchResult"]' },
+  { id: "pins", selector: '[class*="pinnedMessagesPopout"], [class*="pinsPopout"]' },
+  { id: "inbox", selector: '[class*="recentMentionsPopout"], [class*="inboxPopout"], [class*="recentsPopout"]' },
+  { id: "thread", selector: '[class*="threadMessageAccessory"], [class*="threadSidebar"] [class*="threadPreview"]' },
+  { id: "forum", selector: '[class*="forumPost"], [class*="forumPostCard"], [class*="mainCard"]' },
+  { id: "chat", selector: 'li[id^="chat-messages-"], [data-list-id="chat-messages"]' },
+  { id: "other", selector: null }
+];
+
+/**
+ * Containers whose contents are watched for timestamps. Everything else in the
+ * app only tells us when one of these appears or goes away.
+ */
+const SCROLLER_SELECTOR = [
+  '[data-list-id="chat-messages"]', // channels, DMs and threads, including the thread sidebar
+  '[data-list-id^="forum-channel-list"]',
+  '[class*="searchResultsWrap"]',
+  '[class*="pinnedMessagesPopout"]', '[class*="pinsPopout"]',
+  '[class*="recentMentionsPopout"]', '[class*="inboxPopout"]', '[class*="recentsPopout"]'
+].join(", ");
+
+/** Max time (ms) one frame spends on queued nodes before yielding to the next. */
+const BATCH_BUDGET_MS = 8;
+
+/** Longest delay setTimeout honours; anything above overflows and fires at once. */
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/** Min time (ms) between two searches of the whole document for scrollers and profiles. */
+const RESCAN_INTERVAL_MS = 250;
+
+/** How often (ms) the fallback poll runs; see _poll(). */
+const POLL_INTERVAL_MS = 1000;
+
+/** How many levels above each scroller the host observer watches for it being swapped out. */
+const HOST_DEPTH = 4;
+
+/** Where Discord mounts popouts, modals and profiles. */
+const LAYER_SELECTOR = '[class*="layerContainer"], [class*="layers"]';
+
+/** Per-surface format choices; "default" uses the global format settings. */
+const SURFACE_FORMATS = {
+  default: {},
+  detailed: { detailed: true, template: "" },
+  compact: { detailed: false, template: "" }
+};
+
+/** Log levels, least severe first. Entries below the chosen level are dropped. */
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+/** How many diagnostics entries are kept (oldest are dropped first). */
+const LOG_LIMIT = 500;
+
+/**
+ * Stamped on saved and exported settings; bump it when their shape changes.
+ * Saves from before versioning have the same shape and count as v1.
+ */
+const SETTINGS_VERSION = 1;
+
+/**
+ * Type and range of every setting. `check` runs after coercion and returns an
+ * error message for values that are well-typed but still unusable.
+ */
+const SETTINGS_SCHEMA = {
+  detailed: { type: "boolean" },
+  liveUpdate: { type: "boolean" },
+  reduceUpdates: { type: "enum", values: ["auto", "on", "off"] },
+  showTooltip: { type: "boolean" },
+  locale: { type: "string", maxLength: 35, check: (v, plugin) => plugin._checkLocale(v) },
+  template: { type: "string", check: (v, plugin, s) => plugin._parseTemplate(v, s.minUnit)?.error ?? null },
+  maxUnits: { type: "integer", min: 1, max: UNITS.length },
+  minUnit: { type: "enum", values: UNITS },
+  rounding: { type: "enum", values: ["floor", "round"] },
+  separator: { type: "string", maxLength: 20 },
+  hybrid: { type: "boolean" },
+  hybridThreshold: { type: "integer", min: 60, max: 366 * 86400 },
+  absoluteFormat: { type: "string", check: (v, plugin) => plugin._validateAbsoluteFormat(v) },
+  editedShowBoth: { type: "boolean" },
+  linkChips: { type: "boolean" },
+  profileChips: { type: "boolean" },
+  accountWarnDays: { type: "integer", min: 0, max: 365 },
+  surfaces: { type: "surfaces" },
+  showGaps: { type: "boolean" },
+  gapThreshold: { type: "integer", min: 1, max: 30 * 86400 },
+  dayDividers: { type: "enum", values: ["off", "relative", "calendar"] },
+  overrides: { type: "overrides" },
+  tooltipZones: { type: "zones" },
+  clickCopy: { type: "enum", values: ["off", ...COPY_FORMATS.map(f => f.id)] },
+  composerHelper: { type: "boolean" },
+  composerStyle: { type: "enum", values: DISCORD_STYLES.map(s => s.style) },
+  // Formatters are registered at runtime by other plugins, so any name is kept
+  formatter: { type: "string", maxLength: 64 },
+  ageStyling: { type: "boolean" },
+  ageFade: { type: "boolean" },
+  ageTiers: { type: "tiers" },
+  placement: { type: "enum", values: ["after", "before", "replace"] },
+  logLevel: { type: "enum", values: LOG_LEVELS }
+};
+
+/** Settings a server/channel override may change; anything else stays global. */
+const OVERRIDE_KEYS = ["enabled", "detailed", "liveUpdate", "showTooltip"];
+
+/** Hybrid-mode thresholds offered in the settings panel, in seconds. */
+const HYBRID_THRESHOLDS = [3600, 6 * 3600, 86400, 2 * 86400, 7 * 86400, 30 * 86400];
+
+/** Absolute-date pattern tokens, longest first; group 1 captures [literal] text. */
+const ABSOLUTE_TOKEN_RE = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|A/g;
+
+/** Template token → unit. */
+const TEMPLATE_TOKENS = { y: "year", mo: "month", d: "day", h: "hour", m: "minute", s: "second" };
+
+/** Locales offered in the settings panel (besides following Discord). */
+const LOCALE_CHOICES = [
+  "en-US", "en-GB", "de", "fr", "es-ES", "it", "nl", "pl", "pt-BR",
+  "ru", "sv-SE", "tr", "uk", "ja", "ko", "zh-CN", "zh-TW"
+];
+
 module.exports = class RelativeTimestamps {
   constructor() {
-    // --- Runtime flags ---
-    this.DEBUG = true; // set false if you want less console output
+    // --- Diagnostics (first, so everything below can log) ---
+    this._logEntries = []; // ring buffer of { t, level, text }, at most LOG_LIMIT
+    this._counters = { attach: 0, refresh: 0, observer: 0 };
+    this._logSaveTimer = null;
+    this._savingLog = false;
 
     // --- DOM markers ---
     this.injectedClass = "bd-rel-ts";
-    this.markerAttr = "data-rel-ready";
+    this.replacedAttr = "data-rel-replaced"; // on a <time> whose own text is hidden behind our chip
+    this.gapAttr = "data-rel-gap";
+    this.dividerSelector = '[role="separator"][class*="divider"]';
+    this.dividerClass = "bd-rel-divider";
+    this.editedClass = "bd-rel-ts-edited";
     this.styleId = "bd-rel-ts-style";
+    this.cardId = "bd-rel-ts-card";
+
+    // --- Targets ---
+    // Discord's inline timestamp markdown (<t:unix:F>) renders as a span inside message content
+    this.inlineTimestampSelector = '[id^="message-content-"] span[class^="timestamp"]';
+    this.linkSelector = '[id^="message-content-"] a[href*="/channels/"]';
+    this.targetSelector = `time, ${this.inlineTimestampSelector}, ${this.linkSelector}`;
+    this.profileSelector = '[class*="userPopoutOuter"], [class*="userProfileOuter"], [class*="userProfileModalOuter"], [class*="userPanelOuter"]';
+    this.profileNameSelector = '[class*="userTagUsername"], [class*="nickname"], [class*="username"]';
+    this.memberSinceSelector = '[class*="memberSince"]';
+    this.composerTextboxSelector = '[class*="channelTextArea"] [role="textbox"]';
+    this.composerButtonsSelector = '[class*="channelTextArea"] [class*="buttons"]';
+    this.composerButtonClass = "bd-rel-compose-btn";
 
     // --- Runtime handles ---
     this.timer = null;
-    this.observer = null;
+    this.observer = null; // direct children of the hosts only (see _watchHosts); non-null while running
+    this._hosts = new Set();
+    this._scrollerObserver = null; // subtree of each watched scroller
+    this._scrollers = new Set();
+    this._profileObserver = null; // subtree of each open popout/profile
+    this._profiles = new Set();
+    this._profilesDirty = false;
+    this._pending = new Set(); // added elements waiting for the next batch
+    this._rescan = false; // look for new/removed scrollers in the next batch
+    this._rescanTimer = null;
+    this._lastRescan = 0;
+    this._pollTimer = null;
+    this._pollTicks = 0;
+    this._batchFrame = null;
+    this._attached = new WeakMap(); // <time> → its chip
+    this._motionQuery = window.matchMedia?.("(prefers-reduced-motion: reduce)") ?? null;
+    this._onMotionChange = () => this.refreshAll();
+    this._perf = { batches: 0, nodes: 0, totalMs: 0, maxMs: 0, lastMs: 0, lastNodes: 0, rescans: 0 };
+    this.intersection = null;
+    this._due = null; // Map<chip, epoch ms of next text change>; null while the scheduler is off
+    this._armPending = false;
+    this._onVisibilityChange = null;
+    this._gapFrame = null;
+    this._gapScrollers = new Set(); // scrollers whose gaps the next gap frame recomputes
+    this._dividerTimer = null; // fires at the next local midnight
+    this._settingsRev = 0; // bumped on every save; invalidates the route settings cache
+    this._routeCache = null;
+    this._lastPath = null;
+    this._card = null; // { el, chip, timer, hideTimeout } while the hover card is open
+    this._cardHandlers = null;
+    this._actionHandlers = null;
+    this._menu = null; // fallback chip menu element when BdApi.ContextMenu is missing
+    this._unpatchMessageMenu = null;
+    this._composer = null; // { el, input, status, list, date, selected } while the helper is open
+    this._composerHandlers = null;
+    this._formatters = new Map(); // name -> { fn, label, interval, owner }
+    this._listeners = new Map(API_EVENTS.map(e => [e, new Set()])); // event -> Set<{ fn, owner }>
+    this._publicApi = null;
+    this._panelViews = new Set(); // { el, render } of settings-panel previews, redrawn on every setting change
 
     // --- Settings ---
     this.defaultSettings = {
       detailed: true,
       liveUpdate: true,
-      showTooltip: true
+      reduceUpdates: "auto", // "auto" follows prefers-reduced-motion
+      showTooltip: true,
+      locale: "", // empty = follow Discord's UI language
+      template: "", // empty = use the detailed/compact preset
+      maxUnits: 6,
+      minUnit: "second",
+      rounding: "floor", // "floor" | "round"
+      separator: "", // empty = the language's own list separator
+      hybrid: false,
+      hybridThreshold: 86400, // seconds; older (or further away) dates show absolute
+      absoluteFormat: "", // empty = the language's medium date + short time
+      editedShowBoth: false,
+      linkChips: true,
+      profileChips: true,
+      accountWarnDays: 7, // 0 = never highlight
+      // Where chips are injected, and how each surface formats them
+      surfaces: {
+        chat: { enabled: true, format: "default" },
+        reply: { enabled: true, format: "compact" },
+        search: { enabled: true, format: "default" },
+        pins: { enabled: true, format: "default" },
+        inbox: { enabled: true, format: "default" },
+        thread: { enabled: true, format: "compact" },
+        forum: { enabled: true, format: "compact" },
+        other: { enabled: true, format: "default" }
+      },
+      showGaps: false,
+      gapThreshold: 300, // seconds between consecutive messages before a gap is shown
+      dayDividers: "relative", // "off" | "relative" | "calendar"
+      // Per-server/channel: [{ scope: "guild" | "channel", id, label, settings: { enabled?, detailed?, ... } }]
+      overrides: [],
+      // Extra zones listed in the tooltip: [{ label: "Berlin", zone: "Europe/Berlin" }]
+      tooltipZones: [],
+      // What clicking a chip copies: "off" or a COPY_FORMATS id
+      clickCopy: "iso",
+      composerHelper: true,
+      composerStyle: "R", // what Enter inserts in the composer helper; remembers the last pick
+      formatter: "", // name of a formatter registered through getApi(); "" = built-in
+      ageStyling: false,
+      ageFade: false,
+      // Youngest first; each applies below `maxAge` seconds, the last (maxAge null) to everything older.
+      // `color` is a TIER_COLORS name or "#rrggbb".
+      ageTiers: [
+        { maxAge: 60, color: "positive", opacity: 1, weight: 600, badge: "NEW" },
+        { maxAge: 3600, color: "brand", opacity: 0.9, weight: 500, badge: "" },
+        { maxAge: 86400, color: "normal", opacity: 0.75, weight: 400, badge: "" },
+        { maxAge: null, color: "muted", opacity: 0.55, weight: 400, badge: "" }
+      ],
+      // Where chips go relative to Discord's <time>: "after", "before", or "replace" its text
+      placement: "after",
+      logLevel: "info" // console + diagnostics log threshold (see LOG_LEVELS)
     };
 
+    // Intl formatter cache (constructing them every tick is surprisingly costly)
+    this._intlCache = new Map();
+
     // --- BetterDiscord API (robust) ---
     this.BdApiRef = this._getBdApi();
     this.api = this._getBoundApi(this.BdApiRef, PLUGIN_NAME);
 
+    this._loadDiagnostics();
+
     // Load settings safely (never throw in constructor)
     this.settings = { ...this.defaultSettings };
     this._loadSettings();
@@ -48,17 +1114,131 @@ module.exports = class RelativeTimestamps {
    * =========================== */
   _ts() { return new Date().toISOString(); }
 
-  log(...args) {
-    if (!this.DEBUG) return;
-    console.log(`[${PLUGIN_NAME}]`, ...args);
+  log(...args) { this._write("debug", args); }
+  info(...args) { this._write("info", args); }
+  warn(...args) { this._write("warn", args); }
+  error(...args) { this._write("error", args); }
+
+  /** Console output plus a diagnostics entry, if `level` meets the logLevel setting. */
+  _write(level, args) {
+    // Settings aren't loaded yet while the constructor runs
+    const threshold = LOG_LEVELS.indexOf(this.settings?.logLevel ?? "info");
+    if (LOG_LEVELS.indexOf(level) < threshold) return;
+
+    console[level === "debug" ? "log" : level](`[${PLUGIN_NAME}]`, ...args);
+
+    this._logEntries.push({ t: Date.now(), level, text: this._logText(args) });
+    if (this._logEntries.length > LOG_LIMIT) this._logEntries.splice(0, this._logEntries.length - LOG_LIMIT);
+    this._scheduleLogSave();
+  }
+
+  /** Flattens console-style arguments into one line for the log. */
+  _logText(args) {
+    return args.map(a => {
+      if (a instanceof Error) return a.stack?.split("\n").slice(0, 3).map(l => l.trim()).join(" | ") || `${a.name}: ${a.message}`;
+      if (typeof a === "string") return a;
+      try {
+        return JSON.stringify(a) ?? String(a);
+      } catch {
+        return String(a);
+      }
+    }).join(" ").slice(0, 1000);
+  }
+
+  /** Counts a failure for the Diagnostics section ("attach", "refresh" or "observer"). */
+  _count(kind) {
+    this._counters[kind] = (this._counters[kind] ?? 0) + 1;
+    this._scheduleLogSave();
+  }
+
+  _loadDiagnostics() {
+    try {
+      const stored = this._dataLoad(PLUGIN_NAME, "diagnostics");
+      if (Array.isArray(stored?.entries)) {
+        this._logEntries = stored.entries
+          .filter(e => e && Number.isFinite(e.t) && LOG_LEVELS.includes(e.level) && typeof e.text === "string")
+          .slice(-LOG_LIMIT);
+      }
+      for (const kind of Object.keys(this._counters)) {
+        if (Number.isInteger(stored?.counters?.[kind])) this._counters[kind] = stored.counters[kind];
+      }
+    } catch (e) {
+      this.warn("Loading diagnostics failed:", e);
+    }
+  }
+
+  /** Saves are batched: a burst of warnings costs one write. */
+  _scheduleLogSave() {
+    if (this._logSaveTimer || this._savingLog) return;
+    this._logSaveTimer = setTimeout(() => this._saveDiagnostics(), 2000);
+  }
+
+  _saveDiagnostics() {
+    clearTimeout(this._logSaveTimer);
+    this._logSaveTimer = null;
+
+    // A failing save logs a warning; don't let that schedule yet another save
+    this._savingLog = true;
+    try {
+      this._dataSave(PLUGIN_NAME, "diagnostics", { entries: this._logEntries, counters: this._counters });
+    } finally {
+      this._savingLog = false;
+    }
+  }
+
+  _clearDiagnostics() {
+    this._logEntries = [];
+    for (const kind of Object.keys(this._counters)) this._counters[kind] = 0;
+    for (const key of Object.keys(this._perf)) this._perf[key] = 0;
+    this._saveDiagnostics();
+  }
+
+  /** Plain-text report for bug reports: environment, counters, settings and the log. */
+  _diagnosticsReport() {
+    const plugins = this.api?.Plugins ?? this.BdApiRef?.Plugins;
+    let version = "unknown";
+    try {
+      version = plugins?.get?.(PLUGIN_NAME)?.version ?? version;
+    } catch {}
+
+    const lines = [
+      `${PLUGIN_NAME} ${version} (settings v${SETTINGS_VERSION})`,
+      `Generated: ${new Date().toISOString()}`,
+      `User agent: ${navigator.userAgent}`,
+      `Locale: ${this._getLocale()} (Discord: ${this._getDiscordLocale()}), time zone: ${Intl.DateTimeFormat().resolvedOptions().timeZone}`,
+      `Counters: attach failures ${this._counters.attach}, refresh errors ${this._counters.refresh}, observer errors ${this._counters.observer}`,
+      this._perfSummary(),
+      "",
+      "Settings:",
+      JSON.stringify(this.settings, null, 2),
+      "",
+      `Log (${this._logEntries.length} entries):`,
+      ...this._logEntries.map(e => this._formatLogEntry(e))
+    ];
+    return lines.join("\n");
+  }
+
+  /** One-line timing readout of the observer pipeline since start (or the last clear). */
+  _perfSummary() {
+    const p = this._perf;
+    const avg = p.batches ? p.totalMs / p.batches : 0;
+    return this.t("diagPerf", p.batches, avg.toFixed(2), p.maxMs.toFixed(1), p.lastMs.toFixed(2), p.lastNodes, this._scrollers.size, p.rescans);
   }
 
-  warn(...args) {
-    console.warn(`[${PLUGIN_NAME}]`, ...args);
+  _formatLogEntry({ t, level, text }) {
+    return `${new Date(t).toISOString()} ${level.toUpperCase().padEnd(5)} ${text}`;
   }
 
-  error(...args) {
-    console.error(`[${PLUGIN_NAME}]`, ...args);
+  /** Offers `text` as a file download. */
+  _download(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
   }
 
   toast(message, type = "info", timeout = 3000) {
@@ -75,6 +1255,65 @@ module.exports = class RelativeTimestamps {
     }
   }
 
+  /* ===========================
+   *  Localization helpers
+   * =========================== */
+  _getDiscordLocale() {
+    // Discord keeps <html lang> in sync with its UI language
+    const lang = document.documentElement?.lang || navigator.language || "en-US";
+    try {
+      return Intl.getCanonicalLocales(lang)[0] || "en-US";
+    } catch {
+      return "en-US";
+    }
+  }
+
+  _getLocale() {
+    const chosen = this.settings.locale;
+    if (chosen) {
+      try {
+        return Intl.getCanonicalLocales(chosen)[0];
+      } catch {
+        this.warn("Invalid locale in settings, following Discord:", chosen);
+      }
+    }
+    return this._getDiscordLocale();
+  }
+
+  _intl(Ctor, locale, options) {
+    const key = `${Ctor.name}|${locale}|${JSON.stringify(options)}`;
+    let fmt = this._intlCache.get(key);
+    if (!fmt) {
+      fmt = new Ctor(locale, options);
+      this._intlCache.set(key, fmt);
+    }
+    return fmt;
+  }
+
+  t(key, ...args) {
+    const lang = this._getLocale().split("-")[0];
+    const template = STRINGS[lang]?.[key] ?? STRINGS.en[key] ?? key;
+    return template.replace(/\{(\d+)\}/g, (m, i) => (args[i] !== undefined ? String(args[i]) : m));
+  }
+
+  _unitLabel(unit) {
+    try {
+      const names = this._intl(Intl.DisplayNames, this._getLocale(), { type: "dateTimeField" });
+      return names.of(unit) || unit;
+    } catch {
+      return unit;
+    }
+  }
+
+  _localeLabel(locale, displayLocale = locale) {
+    try {
+      const names = this._intl(Intl.DisplayNames, displayLocale, { type: "language" });
+      return names.of(locale) || locale;
+    } catch {
+      return locale;
+    }
+  }
+
   /* ===========================
    *  BetterDiscord API helpers
    * =========================== */
@@ -177,7 +1416,11 @@ module.exports = class RelativeTimestamps {
     try {
       const loaded = this._dataLoad(PLUGIN_NAME, "settings");
       const safeObj = (loaded && typeof loaded === "object" && !Array.isArray(loaded)) ? loaded : {};
-      this.settings = Object.assign({}, this.defaultSettings, safeObj);
+      const { settings, errors } = this._validateSettings(this._unstampSettings(safeObj));
+
+      // Bad stored values fall back to their defaults instead of reaching format()
+      for (const err of errors) this.warn("Stored setting rejected, using default:", err.message);
+      this.settings = settings;
       this.log("Settings loaded:", this.settings);
     } catch (e) {
       this.error("Settings load failed; using defaults:", e);
@@ -187,7 +1430,8 @@ module.exports = class RelativeTimestamps {
 
   _saveSettings() {
     try {
-      const ok = this._dataSave(PLUGIN_NAME, "settings", this.settings);
+      this._settingsRev++;
+      const ok = this._dataSave(PLUGIN_NAME, "settings", { version: SETTINGS_VERSION, ...this.settings });
       this.log("Settings saved:", ok ? "ok" : "failed", this.settings);
       return ok;
     } catch (e) {
@@ -196,6 +1440,245 @@ module.exports = class RelativeTimestamps {
     }
   }
 
+  /* ===========================
+   *  Settings schema
+   * =========================== */
+  /**
+   * Stored or imported settings without their version stamp. Every version so
+   * far shares one shape, so nothing needs converting; validation drops keys
+   * no build reads anymore.
+   */
+  _unstampSettings(raw) {
+    const { version, ...data } = raw;
+    if (Number.isInteger(version) && version > SETTINGS_VERSION) {
+      this.warn(`Settings were saved by a newer version (v${version}); unknown keys are ignored.`);
+    }
+    return data;
+  }
+
+  /**
+   * Coerces `raw` against SETTINGS_SCHEMA. Returns complete settings (invalid or
+   * missing keys take their defaults) plus one { key, message } per rejected value.
+   */
+  _validateSettings(raw) {
+    const settings = {};
+    const errors = [];
+    const reject = (key, message) => errors.push({ key, message });
+
+    for (const [key, rule] of Object.entries(SETTINGS_SCHEMA)) {
+      const fallback = this.defaultSettings[key];
+      if (!(key in raw)) {
+        settings[key] = fallback;
+        continue;
+      }
+
+      const result = this._coerceSetting(key, raw[key], rule, fallback);
+      if (result.error) reject(key, result.error);
+      settings[key] = result.error ? fallback : result.value;
+    }
+
+    // Cross-field checks run on the coerced values (a template depends on minUnit)
+    for (const [key, rule] of Object.entries(SETTINGS_SCHEMA)) {
+      if (!rule.check || !(key in raw) || errors.some(e => e.key === key)) continue;
+      const message = rule.check(settings[key], this, settings);
+      if (message) {
+        reject(key, this.t("valInvalid", key, message));
+        settings[key] = this.defaultSettings[key];
+      }
+    }
+
+    return { settings, errors };
+  }
+
+  _coerceSetting(key, value, rule, fallback) {
+    switch (rule.type) {
+      case "boolean":
+        if (typeof value === "boolean") return { value };
+        if (value === "true" || value === 1) return { value: true };
+        if (value === "false" || value === 0) return { value: false };
+        return { error: this.t("valBoolean", key) };
+
+      case "integer": {
+        const n = typeof value === "string" && value.trim() ? Number(value) : value;
+        if (!Number.isInteger(n) || n < rule.min || n > rule.max) {
+          return { error: this.t("valInteger", key, rule.min, rule.max) };
+        }
+        return { value: n };
+      }
+
+      case "enum":
+        if (rule.values.includes(value)) return { value };
+        return { error: this.t("valEnum", key, rule.values.join(", ")) };
+
+      case "string":
+        if (typeof value !== "string" || value.length > (rule.maxLength ?? 200)) {
+          return { error: this.t("valString", key, rule.maxLength ?? 200) };
+        }
+        return { value };
+
+      case "surfaces": {
+        if (!value || typeof value !== "object" || Array.isArray(value)) return { error: this.t("valObject", key) };
+        const out = {};
+        for (const [id, def] of Object.entries(fallback)) {
+          const entry = value[id];
+          if (entry === undefined) {
+            out[id] = def;
+            continue;
+          }
+          if (!entry || typeof entry !== "object") return { error: this.t("valObject", `${key}.${id}`) };
+
+          const enabled = this._coerceSetting(`${key}.${id}.enabled`, entry.enabled ?? def.enabled, { type: "boolean" });
+          const format = this._coerceSetting(`${key}.${id}.format`, entry.format ?? def.format,
+            { type: "enum", values: Object.keys(SURFACE_FORMATS) });
+          if (enabled.error || format.error) return { error: enabled.error ?? format.error };
+          out[id] = { enabled: enabled.value, format: format.value };
+        }
+        return { value: out };
+      }
+
+      case "overrides": {
+        if (!Array.isArray(value) || value.length > 500) return { error: this.t("valArray", key, 500) };
+        const out = [];
+        for (const [i, entry] of value.entries()) {
+          const name = `${key}[${i}]`;
+          if (!entry || typeof entry !== "object") return { error: this.t("valObject", name) };
+          if (entry.scope !== "guild" && entry.scope !== "channel") return { error: this.t("valEnum", `${name}.scope`, "guild, channel") };
+          if (!/^\d{15,25}$/.test(String(entry.id))) return { error: this.t("valSnowflake", `${name}.id`) };
+          if (entry.label !== undefined && (typeof entry.label !== "string" || entry.label.length > 100)) {
+            return { error: this.t("valString", `${name}.label`, 100) };
+          }
+          if (!entry.settings || typeof entry.settings !== "object") return { error: this.t("valObject", `${name}.settings`) };
+
+          const settings = {};
+          for (const [k, v] of Object.entries(entry.settings)) {
+            if (!OVERRIDE_KEYS.includes(k)) return { error: this.t("valEnum", `${name}.settings`, OVERRIDE_KEYS.join(", ")) };
+            const r = this._coerceSetting(`${name}.settings.${k}`, v, { type: "boolean" });
+            if (r.error) return r;
+            settings[k] = r.value;
+          }
+          out.push({ scope: entry.scope, id: String(entry.id), label: entry.label ?? "", settings });
+        }
+        return { value: out };
+      }
+
+      case "tiers": {
+        if (!Array.isArray(value) || !value.length || value.length > 6) return { error: this.t("valArray", key, 6) };
+        const out = [];
+        for (const [i, entry] of value.entries()) {
+          const name = `${key}[${i}]`;
+          if (!entry || typeof entry !== "object") return { error: this.t("valObject", name) };
+
+          const last = i === value.length - 1;
+          const prev = out[i - 1]?.maxAge ?? 0;
+          if (last ? entry.maxAge !== null : !(Number.isInteger(entry.maxAge) && entry.maxAge > prev)) {
+            return { error: this.t("valInvalid", `${name}.maxAge`, this.t("tierErrAges")) };
+          }
+          if (!(entry.color in TIER_COLORS) && !/^#[0-9a-f]{6}$/i.test(entry.color)) {
+            return { error: this.t("valInvalid", `${name}.color`, this.t("tierErrColor")) };
+          }
+          if (typeof entry.opacity !== "number" || !(entry.opacity >= 0.1 && entry.opacity <= 1)) {
+            return { error: this.t("valNumber", `${name}.opacity`, 0.1, 1) };
+          }
+          if (!TIER_WEIGHTS.includes(entry.weight)) return { error: this.t("valEnum", `${name}.weight`, TIER_WEIGHTS.join(", ")) };
+          if (typeof entry.badge !== "string" || entry.badge.length > 8) return { error: this.t("valString", `${name}.badge`, 8) };
+
+          out.push({ maxAge: entry.maxAge, color: entry.color, opacity: entry.opacity, weight: entry.weight, badge: entry.badge });
+        }
+        return { value: out };
+      }
+
+      case "zones": {
+        if (!Array.isArray(value) || value.length > 20) return { error: this.t("valArray", key, 20) };
+        const out = [];
+        for (const [i, entry] of value.entries()) {
+          const name = `${key}[${i}]`;
+          if (!entry || typeof entry !== "object") return { error: this.t("valObject", name) };
+          if (typeof entry.label !== "string" || !entry.label.trim() || entry.label.length > 40) {
+            return { error: this.t("valString", `${name}.label`, 40) };
+          }
+          const zoneError = this._checkTimeZone(entry.zone);
+          if (zoneError) return { error: this.t("valInvalid", `${name}.zone`, zoneError) };
+          out.push({ label: entry.label.trim(), zone: entry.zone });
+        }
+        return { value: out };
+      }
+
+      default:
+        return { error: this.t("valUnknownType", key) };
+    }
+  }
+
+  /** Null when Intl accepts `zone` as an IANA time zone, else an error message. */
+  _checkTimeZone(zone) {
+    if (typeof zone !== "string" || !zone.trim()) return this.t("zoneErrEmpty");
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: zone });
+      return null;
+    } catch {
+      return this.t("zoneErrInvalid", zone);
+    }
+  }
+
+  _checkLocale(value) {
+    if (!value) return null;
+    try {
+      Intl.getCanonicalLocales(value);
+      return null;
+    } catch {
+      return this.t("valLocale", value);
+    }
+  }
+
+  /** Replaces all settings at once (reset/import) and re-applies them to chat. */
+  _applySettings(next) {
+    this.settings = next;
+    this._saveSettings();
+
+    this.stopScheduler();
+    if (this.observer) {
+      // Only while running: surface rules may have changed, so rescan from scratch
+      this._removeChips();
+      this.processAll();
+    }
+    this._syncScheduler();
+    this._emit("settingsChanged", { key: null, value: null, settings: { ...this.settings } });
+    this._refreshPanelViews();
+  }
+
+  _exportSettings() {
+    try {
+      const payload = { plugin: PLUGIN_NAME, version: SETTINGS_VERSION, settings: this.settings };
+      this._download(`${PLUGIN_NAME}.settings.json`, JSON.stringify(payload, null, 2), "application/json");
+      this.toast(this.t("toastExported"), "success", 2500);
+    } catch (e) {
+      this.error("Settings export failed:", e);
+      this.toast(this.t("toastExportFailed"), "error", 4000);
+    }
+  }
+
+  /**
+   * Validates an exported file's text. Accepts the export wrapper or a bare
+   * settings object. Returns { settings } or { errors: [message] }.
+   */
+  _parseImport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      return { errors: [this.t("importErrJson")] };
+    }
+    if (!data || typeof data !== "object" || Array.isArray(data)) return { errors: [this.t("importErrShape")] };
+
+    if ("settings" in data) {
+      if (data.plugin && data.plugin !== PLUGIN_NAME) return { errors: [this.t("importErrPlugin", data.plugin)] };
+      data = { ...data.settings, version: data.version };
+    }
+    if (!data || typeof data !== "object" || Array.isArray(data)) return { errors: [this.t("importErrShape")] };
+
+    const { settings, errors } = this._validateSettings(this._unstampSettings(data));
+    return errors.length ? { errors: errors.map(e => e.message) } : { settings };
+  }
+
   /* ===========================
    *  BetterDiscord lifecycle
    * =========================== */
@@ -204,13 +1687,23 @@ module.exports = class RelativeTimestamps {
       this.log("Starting at", this._ts());
       this.injectCSS();
       this.observe();
+      this._bindCard();
+      this._bindActions();
+      this._motionQuery?.addEventListener?.("change", this._onMotionChange);
+      this._bindComposer();
+      this._lastPath = location.pathname;
       this.processAll();
-      if (this.settings.liveUpdate) this.startTimer();
-      this.toast("RelativeTimestamps: enabled", "success", 2500);
-      this.log("Plugin started successfully.");
+      this._syncScheduler();
+      this._armDividerTimer();
+
+      // Lets plugins that started first (or registered before a restart) hook in again
+      window.dispatchEvent(new CustomEvent("RelativeTimestamps:ready", { detail: this.getApi() }));
+
+      this.toast(this.t("toastEnabled"), "success", 2500);
+      this.info("Plugin started successfully.");
     } catch (e) {
       this.error("Startup failed:", e);
-      this.toast("RelativeTimestamps: failed to start (check console)", "error", 4000);
+      this.toast(this.t("toastStartFailed"), "error", 4000);
     }
   }
 
@@ -218,26 +1711,173 @@ module.exports = class RelativeTimestamps {
     try {
       this.log("Stopping at", this._ts());
 
-      if (this.observer) this.observer.disconnect();
-      this.observer = null;
+      this._disconnectObservers();
+
+      this.stopScheduler();
+      this._unbindCard();
+      this._motionQuery?.removeEventListener?.("change", this._onMotionChange);
+      this._unbindActions();
+      this._unbindComposer();
 
-      if (this.timer) clearInterval(this.timer);
-      this.timer = null;
+      // Remove injected spans and marker attrs so restart works without needing a full reload
+      this._removeChips();
 
-      // Remove injected spans
-      document.querySelectorAll(`.${this.injectedClass}`).forEach(e => e.remove());
+      if (this._gapFrame) cancelAnimationFrame(this._gapFrame);
+      this._gapFrame = null;
+      this._gapScrollers.clear();
+      this._clearGaps();
 
-      // Remove marker attr so restart works without needing a full reload
-      document.querySelectorAll(`time[${this.markerAttr}]`).forEach(t => t.removeAttribute(this.markerAttr));
+      clearTimeout(this._dividerTimer);
+      this._dividerTimer = null;
+      this._clearDividers();
 
       // Remove injected CSS
       document.getElementById(this.styleId)?.remove();
 
-      this.toast("RelativeTimestamps: disabled", "info", 2000);
-      this.log("Stopped cleanly.");
+      // Other plugins re-register on the next "RelativeTimestamps:ready"
+      this._formatters.clear();
+      for (const set of this._listeners.values()) set.clear();
+
+      this.toast(this.t("toastDisabled"), "info", 2000);
+      this.info("Stopped cleanly.");
     } catch (e) {
       this.error("Error during stop:", e);
     }
+
+    // Write the log now rather than leaving a save timer behind
+    this._saveDiagnostics();
+  }
+
+  /* ===========================
+   *  Public API
+   * =========================== */
+  /**
+   * Stable surface for other plugins:
+   *
+   *   const rt = BdApi.Plugins.get("RelativeTimestamps")?.instance?.getApi();
+   *   const off = rt.registerFormatter("beats", date => `@${swatch(date)}`, { owner: "MyPlugin" });
+   *   rt.on("attached", ({ chip, date }) => ..., { owner: "MyPlugin" });
+   *
+   * Every register/on call returns a function that undoes it; call those (or
+   * unregisterAll(owner)) when your plugin stops. Registrations whose owner
+   * plugin is disabled are pruned within a few seconds, and everything is dropped
+   * when this plugin stops; listen for the "RelativeTimestamps:ready" window
+   * event to register again.
+   */
+  getApi() {
+    if (this._publicApi) return this._publicApi;
+
+    this._publicApi = Object.freeze({
+      version: 1,
+      events: API_EVENTS,
+
+      /**
+       * `fn(date, now, settings)` returns the chip text. `interval` is how often
+       * (ms) chips using it refresh. Selectable in settings as `label`.
+       */
+      registerFormatter: (name, fn, { label = name, interval = 1000, owner = null } = {}) => {
+        if (typeof name !== "string" || !name || name.length > 64) throw new TypeError("Formatter name must be a non-empty string of at most 64 characters.");
+        if (typeof fn !== "function") throw new TypeError("Formatter must be a function.");
+        this._pruneOwners();
+        const entry = { fn, label: String(label), interval: Math.min(Math.max(250, Number(interval) || 1000), MAX_TIMER_MS), owner };
+        this._formatters.set(name, entry);
+        if (this._effectiveSettings().formatter === name) this.refreshAll();
+        return () => {
+          if (this._formatters.get(name) !== entry) return;
+          this._formatters.delete(name);
+          if (this._effectiveSettings().formatter === name) this.refreshAll();
+        };
+      },
+      formatters: () => [...this._formatters].map(([name, { label }]) => ({ name, label })),
+
+      /** Chip text for `date` with the current settings (and selected formatter). */
+      format: (date, now = new Date()) => this.format(date, now),
+
+      /** The chip and parsed date for a message element (or anything inside one). */
+      query: el => this._queryMessage(el),
+
+      /** `fn(detail)` for an event in `events`; returns an unsubscribe function. */
+      on: (event, fn, { owner = null } = {}) => {
+        const set = this._listeners.get(event);
+        if (!set) throw new TypeError(`Unknown event "${event}". Known: ${API_EVENTS.join(", ")}.`);
+        if (typeof fn !== "function") throw new TypeError("Listener must be a function.");
+        this._pruneOwners();
+        const entry = { fn, owner };
+        set.add(entry);
+        return () => set.delete(entry);
+      },
+
+      /** Drops every formatter and listener registered with `owner`. */
+      unregisterAll: owner => this._unregisterOwner(owner)
+    });
+    return this._publicApi;
+  }
+
+  _unregisterOwner(owner) {
+    if (!owner) return;
+    let active = false;
+    for (const [name, entry] of this._formatters) {
+      if (entry.owner !== owner) continue;
+      this._formatters.delete(name);
+      active ||= this._effectiveSettings().formatter === name;
+    }
+    for (const set of this._listeners.values()) {
+      for (const entry of set) if (entry.owner === owner) set.delete(entry);
+    }
+    if (active) this.refreshAll();
+  }
+
+  /** True when `owner` names a BetterDiscord plugin that is no longer enabled. */
+  _ownerGone(owner) {
+    if (!owner) return false;
+    try {
+      const plugins = this.api?.Plugins ?? this.BdApiRef?.Plugins;
+      return typeof plugins?.isEnabled === "function" && !plugins.isEnabled(owner);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Drops the registrations of owners that are no longer enabled. BetterDiscord
+   * doesn't tell other plugins when one stops, so this runs whenever something
+   * registers and every few seconds from _poll(), never per chip or event.
+   */
+  _pruneOwners() {
+    const owners = new Set([...this._formatters.values()].map(entry => entry.owner));
+    for (const set of this._listeners.values()) for (const entry of set) owners.add(entry.owner);
+    for (const owner of owners) if (this._ownerGone(owner)) this._unregisterOwner(owner);
+  }
+
+  _getFormatter(name) {
+    return (name && this._formatters.get(name)) || null;
+  }
+
+  _emit(event, detail) {
+    const set = this._listeners.get(event);
+    if (!set?.size) return;
+    for (const entry of [...set]) {
+      try {
+        entry.fn(detail);
+      } catch (e) {
+        this.warn(`"${event}" listener${entry.owner ? ` from ${entry.owner}` : ""} threw:`, e);
+      }
+    }
+  }
+
+  _queryMessage(el) {
+    if (!(el instanceof Element)) return null;
+    const message = el.closest('li[id^="chat-messages-"], [id^="chat-messages-"]') ?? el;
+
+    const chip = message.querySelector(`.${this.injectedClass}:not([data-kind])`);
+    const fromChip = chip ? this._parseIso(chip.dataset.timestamp) : null;
+    if (fromChip) return { date: fromChip, chip };
+
+    // No chip (surface disabled, not attached yet): read the date directly
+    const time = message.querySelector("time");
+    const date = (time && !this._isEditedMarker(time) ? this._readDate(time) : null)
+      ?? this._snowflakeToDate(message.id?.split("-").pop() ?? "");
+    return date && !Number.isNaN(date.getTime()) ? { date, chip: null } : null;
   }
 
   /* ===========================
@@ -254,47 +1894,228 @@ module.exports = class RelativeTimestamps {
         font-size: 12px;
         opacity: 0.75;
         color: var(--text-normal, #c9ccd1);
-        cursor: default;
+        cursor: pointer;
         transition: opacity 0.2s ease;
-        user-select: none;
       }
-      .${this.injectedClass}:hover { opacity: 1; }
+      .${this.injectedClass}[data-placement="before"] { margin: 0 6px 0 0; }
 
-      /* ====== Settings: robust, theme-aware, high-contrast ====== */
-      /* Scope all rules under our panel container to avoid interference. */
-      .rel-settings-root {
-        display: grid;
-        gap: 12px;
-        padding: 12px;
-        background: var(--background-secondary, rgba(0,0,0,0.3));
-        border: 1px solid var(--background-tertiary, rgba(255,255,255,0.08));
-        border-radius: 10px;
+      /* Replace: the chip stands next to the hidden <time>, so React re-rendering it can't take the chip along */
+      [${this.replacedAttr}] { display: none !important; }
+      .${this.injectedClass}[data-placement="replace"] {
+        margin: 0;
+        opacity: 1;
       }
+      .${this.injectedClass}[data-placement="replace"]:not([data-rel-tier]) { color: inherit; }
 
-      .rel-settings-header {
+      /* Age tiers set these variables per chip; hover still brings it to full opacity */
+      [data-rel-tier] {
+        color: var(--rel-color);
+        opacity: var(--rel-opacity);
+        font-weight: var(--rel-weight);
+      }
+      [data-rel-badge]::before {
+        content: attr(data-rel-badge);
+        margin-right: 4px;
+        padding: 0 4px;
+        border-radius: 3px;
+        font-size: 10px;
         font-weight: 700;
-        font-size: 18px;
-        color: var(--header-primary, var(--text-normal, #fff)) !important;
-        margin: 0 0 4px 0;
+        vertical-align: 1px;
+        background: var(--rel-color);
+        color: var(--background-primary, #313338);
       }
+      .${this.injectedClass}:hover { opacity: 1; }
 
-      /* Use BetterDiscord's setting item structure for consistent spacing/typography */
-      .rel-settings-root .bd-setting-item {
-        display: flex;
-        align-items: center;
-        justify-content: space-between;
-        gap: 10px;
-        padding: 12px 10px;
-        background: var(--background-primary, transparent);
-        border: 1px solid var(--background-tertiary, rgba(255,255,255,0.08));
-        border-radius: 8px;
+      /* Edit age sits next to Discord's "(edited)" marker: quieter and italic like it */
+      .${this.injectedClass}.${this.editedClass} {
+        margin-left: 4px;
+        font-size: 11px;
+        font-style: italic;
+        opacity: 0.6;
+        color: var(--text-muted, #9ca3af);
       }
 
-      .rel-settings-root .bd-setting-item:hover {
-        background: var(--background-modifier-hover, rgba(255,255,255,0.03));
+      /* Accounts younger than the warning threshold */
+      .${this.injectedClass}[data-rel-warn] {
+        color: var(--text-danger, #f23f43);
+        font-weight: 600;
+        opacity: 1;
       }
 
-      .rel-setting-texts {
+      /* Appended to the date inside Discord's day divider */
+      .${this.dividerClass} {
+        font-weight: 500;
+        opacity: 0.8;
+        white-space: nowrap;
+      }
+
+      /* Link ages read as a short note on the link, not as a message timestamp */
+      .${this.injectedClass}[data-kind="link"] {
+        margin-left: 4px;
+        font-size: 11px;
+        color: var(--text-muted, #9ca3af);
+      }
+
+      .${this.injectedClass}:focus-visible {
+        opacity: 1;
+        outline: 2px solid var(--focus-primary, #00a8fc);
+        outline-offset: 1px;
+        border-radius: 3px;
+      }
+
+      /* ====== Hover card ====== */
+      .bd-rel-card {
+        position: fixed;
+        z-index: 10000;
+        max-width: min(420px, calc(100vw - 16px));
+        padding: 10px 12px;
+        border-radius: 8px;
+        background: var(--background-floating, #111214);
+        color: var(--text-normal, #dbdee1);
+        border: 1px solid var(--background-modifier-accent, rgba(255,255,255,0.08));
+        box-shadow: var(--elevation-high, 0 8px 16px rgba(0,0,0,0.24));
+        font-size: 12px;
+        line-height: 1.4;
+        user-select: text;
+      }
+      .bd-rel-card dl {
+        display: grid;
+        grid-template-columns: auto 1fr;
+        gap: 3px 12px;
+        margin: 0;
+      }
+      .bd-rel-card dt {
+        color: var(--text-muted, #9ca3af);
+        font-weight: 600;
+        white-space: nowrap;
+      }
+      .bd-rel-card dd {
+        margin: 0;
+        font-variant-numeric: tabular-nums;
+        overflow-wrap: anywhere;
+      }
+
+      .bd-rel-menu {
+        display: grid;
+        padding: 6px;
+        min-width: 200px;
+      }
+      .bd-rel-menu button {
+        padding: 6px 8px;
+        border: 0;
+        border-radius: 4px;
+        background: transparent;
+        color: inherit;
+        font: inherit;
+        text-align: left;
+        cursor: pointer;
+      }
+      .bd-rel-menu button:hover,
+      .bd-rel-menu button:focus-visible {
+        background: var(--brand-experiment, #5865f2);
+        color: #fff;
+        outline: none;
+      }
+
+      /* ====== Composer helper ====== */
+      .${this.composerButtonClass} {
+        display: flex;
+        align-items: center;
+        padding: 4px;
+        border: 0;
+        background: none;
+        color: var(--interactive-normal, #b5bac1);
+        cursor: pointer;
+      }
+      .${this.composerButtonClass}:hover { color: var(--interactive-hover, #dbdee1); }
+
+      .bd-rel-composer {
+        display: grid;
+        gap: 8px;
+        width: min(380px, calc(100vw - 16px));
+        box-sizing: border-box;
+      }
+      .bd-rel-composer-title {
+        font-size: 14px;
+        font-weight: 700;
+        color: var(--header-primary, #f2f3f5);
+      }
+      .bd-rel-composer .rel-input { width: 100%; }
+      .bd-rel-composer-status { color: var(--text-muted, #9ca3af); }
+      .bd-rel-composer-styles { display: grid; gap: 2px; }
+      .bd-rel-composer-style {
+        display: flex;
+        justify-content: space-between;
+        gap: 12px;
+        padding: 6px 8px;
+        border: 0;
+        border-radius: 4px;
+        background: transparent;
+        color: inherit;
+        font: inherit;
+        text-align: left;
+        cursor: pointer;
+      }
+      .bd-rel-composer-style:hover:not(:disabled),
+      .bd-rel-composer-style.selected {
+        background: var(--background-modifier-selected, rgba(78,80,88,0.6));
+      }
+      .bd-rel-composer-style:disabled { opacity: 0.5; cursor: default; }
+      .bd-rel-composer-style code {
+        color: var(--text-muted, #9ca3af);
+        font-family: var(--font-code, monospace);
+        white-space: nowrap;
+      }
+
+      /* ====== Gap divider (drawn by CSS so Discord's list DOM is left untouched) ====== */
+      li[${this.gapAttr}]::before {
+        content: attr(${this.gapAttr});
+        display: block;
+        margin: 8px 16px 4px;
+        padding-top: 2px;
+        border-top: 1px dashed var(--background-modifier-accent, rgba(255,255,255,0.12));
+        font-size: 11px;
+        font-weight: 600;
+        text-align: center;
+        color: var(--text-muted, #9ca3af);
+        pointer-events: none;
+      }
+
+      /* ====== Settings: robust, theme-aware, high-contrast ====== */
+      /* Scope all rules under our panel container to avoid interference. */
+      .rel-settings-root {
+        display: grid;
+        gap: 12px;
+        padding: 12px;
+        background: var(--background-secondary, rgba(0,0,0,0.3));
+        border: 1px solid var(--background-tertiary, rgba(255,255,255,0.08));
+        border-radius: 10px;
+      }
+
+      .rel-settings-header {
+        font-weight: 700;
+        font-size: 18px;
+        color: var(--header-primary, var(--text-normal, #fff)) !important;
+        margin: 0 0 4px 0;
+      }
+
+      /* Use BetterDiscord's setting item structure for consistent spacing/typography */
+      .rel-settings-root .bd-setting-item {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 10px;
+        padding: 12px 10px;
+        background: var(--background-primary, transparent);
+        border: 1px solid var(--background-tertiary, rgba(255,255,255,0.08));
+        border-radius: 8px;
+      }
+
+      .rel-settings-root .bd-setting-item:hover {
+        background: var(--background-modifier-hover, rgba(255,255,255,0.03));
+      }
+
+      .rel-setting-texts {
         min-width: 0;
       }
 
@@ -313,7 +2134,6 @@ module.exports = class RelativeTimestamps {
         margin: 0;
       }
 
-      /* Accessible checkbox with theme accent */
       .rel-switch {
         flex: 0 0 auto;
         display: inline-flex;
@@ -321,19 +2141,178 @@ module.exports = class RelativeTimestamps {
         gap: 8px;
       }
 
-      .rel-switch input[type="checkbox"] {
-        accent-color: var(--brand-500, #5865f2);
-        width: 20px;
-        height: 20px;
+      /* Switches are buttons with role="switch", so Tab, Space and Enter just work */
+      .rel-toggle {
+        position: relative;
+        flex: 0 0 auto;
+        width: 40px;
+        height: 24px;
+        padding: 0;
+        border: none;
+        border-radius: 12px;
+        background: var(--background-modifier-accent, #4e5058);
+        cursor: pointer;
+        transition: background 0.15s ease;
+      }
+      .rel-toggle[aria-checked="true"] { background: var(--brand-500, #5865f2); }
+      .rel-toggle-knob {
+        position: absolute;
+        top: 3px;
+        left: 3px;
+        width: 18px;
+        height: 18px;
+        border-radius: 50%;
+        background: #fff;
+        transition: transform 0.15s ease;
+      }
+      .rel-toggle[aria-checked="true"] .rel-toggle-knob { transform: translateX(16px); }
+
+      .rel-settings-root :is(button, input, select, textarea, summary):focus-visible {
+        outline: 2px solid var(--focus-primary, #00a8fc);
+        outline-offset: 2px;
+      }
+
+      @media (prefers-reduced-motion: reduce) {
+        .${this.injectedClass}, .rel-toggle, .rel-toggle-knob { transition: none; }
+      }
+
+      .rel-select {
+        flex: 0 0 auto;
+        max-width: 45%;
+        padding: 6px 8px;
+        border-radius: 6px;
+        border: 1px solid var(--background-tertiary, rgba(255,255,255,0.12));
+        background: var(--input-background, var(--background-tertiary, #1e1f22));
+        color: var(--text-normal, #fff);
+        font-size: 14px;
         cursor: pointer;
       }
 
+      .rel-input {
+        flex: 0 0 auto;
+        width: 45%;
+        box-sizing: border-box;
+        padding: 6px 8px;
+        border-radius: 6px;
+        border: 1px solid var(--background-tertiary, rgba(255,255,255,0.12));
+        background: var(--input-background, var(--background-tertiary, #1e1f22));
+        color: var(--text-normal, #fff);
+        font-size: 14px;
+      }
+      .rel-input.invalid {
+        border-color: var(--text-danger, #f23f43);
+      }
+
+      .rel-setting-error {
+        font-size: 12px;
+        color: var(--text-danger, #f23f43) !important;
+        line-height: 1.35;
+        margin: 2px 0 0 0;
+      }
+      .rel-setting-error:empty { display: none; }
+      .rel-settings-root > .rel-setting-error { white-space: pre-line; text-align: right; }
+
+      .rel-section-title {
+        font-size: 12px;
+        font-weight: 700;
+        text-transform: uppercase;
+        letter-spacing: 0.02em;
+        color: var(--header-secondary, var(--text-muted, #b5bac1)) !important;
+        margin: 4px 0 0 0;
+      }
+
+      .rel-block,
+      .rel-list {
+        display: grid;
+        gap: 8px;
+      }
+
+      .rel-form {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+        gap: 8px;
+      }
+
+      .rel-field {
+        display: grid;
+        gap: 4px;
+      }
+      .rel-field .rel-select,
+      .rel-field .rel-input {
+        width: 100%;
+        max-width: none;
+      }
+
       .rel-divider {
         height: 1px;
         background: var(--background-tertiary, rgba(255,255,255,0.08));
         margin: 6px 0;
       }
 
+      .rel-tier {
+        display: grid;
+        gap: 6px;
+        padding: 8px;
+        border-radius: 8px;
+        background: var(--background-tertiary, rgba(0,0,0,0.2));
+      }
+      .rel-tier-color {
+        display: flex;
+        gap: 6px;
+      }
+      .rel-tier-color input[type="color"] {
+        flex: 0 0 32px;
+        height: 32px;
+        padding: 0;
+        border: 0;
+        background: none;
+      }
+      .rel-tier-preview {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px 14px;
+        padding: 8px;
+        border-radius: 8px;
+        background: var(--background-primary, #313338);
+      }
+      .rel-tier-preview .${this.injectedClass} { margin-left: 0; }
+
+      .rel-preview-list {
+        display: grid;
+        grid-template-columns: max-content 1fr;
+        align-items: baseline;
+        gap: 4px 16px;
+        margin: 0 0 8px 0;
+        padding: 8px 10px;
+        border-radius: 8px;
+        background: var(--background-primary, #313338);
+      }
+      .rel-preview-list dt {
+        font-size: 12px;
+        color: var(--text-muted, #9ca3af);
+      }
+      .rel-preview-list dd { margin: 0; min-width: 0; }
+      .rel-preview-list .${this.injectedClass} { margin-left: 0; }
+
+      .rel-log {
+        max-height: 260px;
+        overflow: auto;
+        margin: 0;
+        padding: 8px;
+        border-radius: 8px;
+        background: var(--background-tertiary, rgba(0,0,0,0.3));
+        color: var(--text-normal, #dbdee1);
+        font-family: var(--font-code, monospace);
+        font-size: 11px;
+        line-height: 1.45;
+        white-space: pre-wrap;
+        overflow-wrap: anywhere;
+        user-select: text;
+      }
+      .rel-log [data-level="warn"] { color: var(--text-warning, #f0b232); }
+      .rel-log [data-level="error"] { color: var(--text-danger, #f23f43); }
+      .rel-log [data-level="debug"] { color: var(--text-muted, #9ca3af); }
+
       .rel-row-end {
         display: flex;
         justify-content: flex-end;
@@ -368,287 +2347,3335 @@ module.exports = class RelativeTimestamps {
       .theme-light .rel-settings-root,
       body.theme-light .rel-settings-root { color: #000 !important; }
 
-      /* Maintain readability even if a theme lowers opacity on text */
-      .rel-settings-root * { opacity: 1 !important; }
+      /* Maintain readability even if a theme lowers opacity on text; tier samples keep their fade */
+      .rel-settings-root *:not([data-rel-tier]) { opacity: 1 !important; }
     `;
     document.head.appendChild(s);
     this.log("CSS injected.");
   }
 
-  startTimer() {
-    if (this.timer) clearInterval(this.timer);
-    this.timer = setInterval(() => this.refreshAll(), 1000);
-    this.log("Timer started (1s).");
-  }
-
+  /**
+   * Three observers, none of them on the whole app: one on the scrollers that
+   * queues added elements, one on open popouts/profiles, and one on the direct
+   * children of a few hosts (see _watchHosts) that only notes when scrollers
+   * or popouts may have come or gone. The real work happens once per frame in
+   * _flushBatch(); _poll() covers what none of them can see.
+   */
   observe() {
     try {
-      const root = document.querySelector("#app-mount") || document.body;
-      if (!root) return;
+      if (!document.body) return;
 
-      if (this.observer) this.observer.disconnect();
+      this._disconnectObservers();
 
-      this.observer = new MutationObserver(mutations => {
+      this._scrollerObserver = new MutationObserver(mutations => {
         try {
           for (const m of mutations) {
             for (const n of m.addedNodes) {
-              if (!(n instanceof Element)) continue;
-              if (n.matches?.("time")) this.attach(n);
-              else n.querySelectorAll?.("time")?.forEach(t => this.attach(t));
+              // Our own chips and divider labels land here too; they never contain a <time>
+              if (n instanceof Element && !n.classList.contains(this.injectedClass) && !n.classList.contains(this.dividerClass)) {
+                this._pending.add(n);
+              }
             }
           }
+          if (this._pending.size) this._requestBatch();
+        } catch (e) {
+          this._count("observer");
+          this.warn("Scroller observer callback error:", e);
+        }
+      });
+
+      // Profiles fill in after they open; rescanning one is cheap
+      this._profileObserver = new MutationObserver(mutations => {
+        if (mutations.every(m => this._isOwnMutation(m))) return;
+        this._profilesDirty = true;
+        this._requestBatch();
+      });
+
+      this.observer = new MutationObserver(mutations => {
+        try {
+          this._checkRoute();
+          if (mutations.some(m => !this._isOwnMutation(m))) this._requestRescan();
         } catch (e) {
+          this._count("observer");
           this.warn("MutationObserver callback error:", e);
         }
       });
 
-      this.observer.observe(root, { childList: true, subtree: true });
-      this.log("MutationObserver active.");
+      this._watchHosts();
+      this._pollTimer = setInterval(() => this._poll(), POLL_INTERVAL_MS);
+      this._rescan = true;
+      this._requestBatch();
+      this.log("MutationObservers active.");
     } catch (e) {
+      this._count("observer");
       this.error("Observer setup failed:", e);
     }
   }
 
-  processAll() {
-    try {
-      document.querySelectorAll("time").forEach(t => this.attach(t));
-      this.log("Initial scan complete.");
-    } catch (e) {
-      this.error("Processing messages failed:", e);
-    }
+  _disconnectObservers() {
+    this.observer?.disconnect();
+    this.observer = null;
+    this._hosts.clear();
+    this._scrollerObserver?.disconnect();
+    this._scrollerObserver = null;
+    this._scrollers.clear();
+    this._profileObserver?.disconnect();
+    this._profileObserver = null;
+    this._profiles.clear();
+    this._profilesDirty = false;
+    this._pending.clear();
+    this._rescan = false;
+    clearTimeout(this._rescanTimer);
+    this._rescanTimer = null;
+    clearInterval(this._pollTimer);
+    this._pollTimer = null;
+    if (this._batchFrame) cancelAnimationFrame(this._batchFrame);
+    this._batchFrame = null;
   }
 
-  attach(timeEl) {
-    try {
-      if (!(timeEl instanceof Element)) return;
+  /** Whether a mutation is only our own chips, divider labels or card changing. */
+  _isOwnMutation(m) {
+    const own = `.${this.injectedClass}, .${this.dividerClass}, #${this.cardId}`;
+    if (m.target.closest?.(own)) return true;
+    return [...m.addedNodes, ...m.removedNodes].every(n => n instanceof Element && n.matches(own));
+  }
 
-      // If we've already processed this exact <time>, don't do it again
-      const existingChip = timeEl.nextElementSibling;
-      if (timeEl.hasAttribute(this.markerAttr)) {
-        if (existingChip?.classList?.contains(this.injectedClass)) {
-          const existingTs = existingChip.dataset.timestamp;
-          const existingDate = existingTs ? new Date(existingTs) : null;
-          if (existingDate && !Number.isNaN(existingDate.getTime())) {
-            existingChip.textContent = this.format(existingDate);
-            if (this.settings.showTooltip) existingChip.title = existingDate.toLocaleString();
-            else existingChip.removeAttribute("title");
-            return;
-          }
-        }
-
-        // If marker is set but our chip is missing/stale, clear marker and continue.
-        timeEl.removeAttribute(this.markerAttr);
-      }
-
-      // Discord uses datetime; some tooltips expose "title"
-      const dt = timeEl.getAttribute("datetime") || timeEl.getAttribute("title");
-      if (!dt) return;
-
-      const date = new Date(dt);
-      if (Number.isNaN(date.getTime())) return;
-
-      // Avoid duplicates: if the next sibling is already our chip, update it instead of inserting
-      const next = timeEl.nextElementSibling;
-      if (next?.classList?.contains(this.injectedClass)) {
-        next.dataset.timestamp = date.toISOString();
-        next.textContent = this.format(date);
-        if (this.settings.showTooltip) next.title = date.toLocaleString();
-        else next.removeAttribute("title");
-        timeEl.setAttribute(this.markerAttr, "true");
-        return;
-      }
+  /**
+   * The host observer sees direct children only: of #app-mount, of the popout
+   * layers and of the few levels above each scroller. That is where a scroller
+   * or popout gets swapped in or out, while the sidebars and member list
+   * updating underneath don't reach it.
+   */
+  _watchHosts() {
+    if (!this.observer) return;
+    const root = document.querySelector("#app-mount") || document.body;
+    const hosts = new Set([root, ...root.querySelectorAll(LAYER_SELECTOR)]);
+    for (const scroller of this._scrollers) {
+      let el = scroller.parentElement;
+      for (let depth = 0; el && depth < HOST_DEPTH; depth++, el = el.parentElement) hosts.add(el);
+    }
 
-      const span = document.createElement("span");
-      span.className = this.injectedClass;
-      span.dataset.timestamp = date.toISOString();
-      span.textContent = this.format(date);
-      if (this.settings.showTooltip) span.title = date.toLocaleString();
+    if (hosts.size === this._hosts.size && [...hosts].every(h => this._hosts.has(h))) return;
+    this._hosts = hosts;
+    this.observer.disconnect();
+    for (const host of hosts) this.observer.observe(host, { childList: true });
+  }
 
-      // Safer than .after() if Discord changes prototypes (very rare but possible)
-      if (typeof timeEl.after === "function") timeEl.after(span);
-      else timeEl.parentNode?.insertBefore(span, timeEl.nextSibling);
+  /** Discord navigates with pushState, so nothing in the DOM announces a channel switch. */
+  _checkRoute() {
+    if (location.pathname === this._lastPath) return;
+    this._lastPath = location.pathname;
+    this._onRouteChange();
+    this._requestRescan();
+  }
 
-      timeEl.setAttribute(this.markerAttr, "true");
-    } catch (e) {
-      this.warn("Attach failed:", e);
+  /** Schedules _discover() for the next batch, at most once per RESCAN_INTERVAL_MS. */
+  _requestRescan() {
+    if (this._rescan || this._rescanTimer) return;
+    const wait = this._lastRescan + RESCAN_INTERVAL_MS - Date.now();
+    if (wait <= 0) {
+      this._rescan = true;
+      this._requestBatch();
+      return;
     }
+    this._rescanTimer = setTimeout(() => {
+      this._rescanTimer = null;
+      this._rescan = true;
+      this._requestBatch();
+    }, wait);
   }
 
-  refreshAll() {
+  /**
+   * Fallback for what the observers can't see: the route changing, a scroller
+   * replaced further up than HOST_DEPTH, the composer re-rendering, and
+   * (every few ticks) timestamps outside any scroller and API owners that
+   * have been disabled.
+   */
+  _poll() {
     try {
-      const now = new Date();
-      document.querySelectorAll(`.${this.injectedClass}`).forEach(el => {
-        const ts = el.dataset.timestamp;
-        if (!ts) return;
-        el.textContent = this.format(new Date(ts), now);
-      });
+      this._checkRoute();
+      if (!this._scrollers.size || [...this._scrollers].some(s => !s.isConnected)) this._requestRescan();
+      this._ensureComposerButton();
+      if (++this._pollTicks % 4 === 0) {
+        this._sweepOther();
+        this._pruneOwners();
+      }
     } catch (e) {
-      this.warn("Refresh failed:", e);
+      this._count("observer");
+      this.warn("Poll failed:", e);
     }
   }
 
-  format(date, now = new Date()) {
-    let diff = Math.floor((now - date) / 1000);
-    if (diff < 0) diff = 0;
+  /** The only full-document queries in the pipeline; throttled by _requestRescan(). */
+  _discover() {
+    this._lastRescan = Date.now();
+    this._perf.rescans++;
+    this._scanScrollers();
+    this._scanProfileRoots();
+    this._watchHosts();
+    this._ensureComposerButton();
+  }
 
-    const years = Math.floor(diff / 31536000); diff %= 31536000;
-    const months = Math.floor(diff / 2592000); diff %= 2592000;
-    const days = Math.floor(diff / 86400); diff %= 86400;
-    const hours = Math.floor(diff / 3600); diff %= 3600;
-    const minutes = Math.floor(diff / 60);
-    const seconds = diff % 60;
+  _inScroller(node) {
+    return !!this._scrollerOf(node);
+  }
 
-    if (this.settings.detailed) {
-      const parts = [];
-      if (years) parts.push(`${years} year${years !== 1 ? "s" : ""}`);
-      if (months) parts.push(`${months} month${months !== 1 ? "s" : ""}`);
-      if (days) parts.push(`${days} day${days !== 1 ? "s" : ""}`);
-      if (hours) parts.push(`${hours} hour${hours !== 1 ? "s" : ""}`);
-      if (minutes) parts.push(`${minutes} minute${minutes !== 1 ? "s" : ""}`);
-      if (seconds || !parts.length) parts.push(`${seconds} second${seconds !== 1 ? "s" : ""}`);
-      return parts.join(" ") + " ago";
-    }
+  /** The watched scroller containing `node`, if any. */
+  _scrollerOf(node) {
+    for (const scroller of this._scrollers) if (scroller.contains(node)) return scroller;
+    return null;
+  }
 
-    if (years) return `${years}y ago`;
-    if (months) return `${months}mo ago`;
-    if (days) return `${days}d ago`;
-    if (hours) return `${hours}h ago`;
-    if (minutes) return `${minutes}m ago`;
-    return `${seconds}s ago`;
+  _requestBatch() {
+    if (this._batchFrame) return;
+    this._batchFrame = requestAnimationFrame(() => {
+      this._batchFrame = null;
+      this._flushBatch();
+    });
   }
 
-  /* ===========================
-   *  Settings panel
-   * =========================== */
-  getSettingsPanel() {
-    const panel = document.createElement("div");
-    panel.className = "rel-settings-root";
+  /**
+   * Handles queued nodes within a time budget; whatever is left waits for the
+   * next frame, so a big channel switch is spread out instead of freezing one.
+   */
+  _flushBatch() {
+    const start = performance.now();
+    let handled = 0;
+    try {
+      if (this._rescan) {
+        this._rescan = false;
+        this._discover();
+      }
+      if (this._profilesDirty) {
+        this._profilesDirty = false;
+        this._scanProfiles();
+      }
 
-    const header = document.createElement("div");
-    header.className = "rel-settings-header";
-    header.textContent = "RelativeTimestamps Settings";
-    panel.appendChild(header);
+      const changed = new Set(); // scrollers whose gaps may have moved
+      for (const node of this._pending) {
+        this._pending.delete(node);
+        handled++;
+        if (!node.isConnected) continue;
+        if (this.settings.showGaps) {
+          const scroller = this._scrollerOf(node);
+          if (scroller) changed.add(scroller);
+        }
+        if (node.matches(this.targetSelector)) this.attach(node);
+        else if (node.matches(this.dividerSelector)) this._annotateDivider(node);
+        // Queue the timestamps themselves so a whole new list still honours the budget
+        else if (node.firstElementChild) {
+          for (const t of node.querySelectorAll(`${this.targetSelector}, ${this.dividerSelector}`)) this._pending.add(t);
+        }
+        if (performance.now() - start > BATCH_BUDGET_MS) break;
+      }
 
-    const mkSwitchRow = (title, note, key) => {
-      const row = document.createElement("div");
-      row.className = "bd-setting-item";
+      if (changed.size) this._requestGapUpdate(changed);
+    } catch (e) {
+      this._count("observer");
+      this.warn("Batch processing failed:", e);
+    }
 
-      const textWrap = document.createElement("div");
-      textWrap.className = "rel-setting-texts";
+    const ms = performance.now() - start;
+    const perf = this._perf;
+    perf.batches++;
+    perf.nodes += handled;
+    perf.totalMs += ms;
+    perf.maxMs = Math.max(perf.maxMs, ms);
+    perf.lastMs = ms;
+    perf.lastNodes = handled;
+    if (ms > 50) this.log(`Slow batch: ${ms.toFixed(1)} ms for ${handled} nodes`);
 
-      const titleEl = document.createElement("div");
-      titleEl.className = "rel-setting-title";
-      titleEl.textContent = title;
+    if (this._pending.size) this._requestBatch();
+  }
 
-      const noteEl = document.createElement("div");
-      noteEl.className = "rel-setting-note";
-      noteEl.textContent = note;
+  /** Starts watching scrollers that appeared and forgets those that went away. */
+  _scanScrollers() {
+    if (!this._scrollerObserver) return;
+    let removed = false;
+    for (const scroller of this._scrollers) {
+      if (scroller.isConnected) continue;
+      this._scrollers.delete(scroller);
+      removed = true;
+    }
 
-      textWrap.append(titleEl, noteEl);
+    const added = [];
+    for (const el of document.querySelectorAll(SCROLLER_SELECTOR)) {
+      // A scroller nested in a watched one is already covered by its subtree
+      if (this._scrollers.has(el) || this._inScroller(el)) continue;
+      for (const inner of this._scrollers) {
+        if (!el.contains(inner)) continue;
+        this._scrollers.delete(inner);
+        removed = true;
+      }
+      this._scrollers.add(el);
+      added.push(el);
+    }
 
-      const controlWrap = document.createElement("div");
-      controlWrap.className = "rel-switch";
+    // MutationObserver can't unobserve a single target, so start over when one is gone
+    if (removed) {
+      this._scrollerObserver.disconnect();
+      for (const scroller of this._scrollers) this._scrollerObserver.observe(scroller, { childList: true, subtree: true });
+    } else {
+      for (const scroller of added) this._scrollerObserver.observe(scroller, { childList: true, subtree: true });
+    }
 
-      const input = document.createElement("input");
-      input.type = "checkbox";
-      input.checked = !!this.settings[key];
-      input.setAttribute("aria-label", title);
+    // A new scroller's existing messages go through the same budgeted queue
+    for (const scroller of added) this._pending.add(scroller);
+    if (added.length || removed) this.log("Watching", this._scrollers.size, "message scrollers.");
+  }
 
-      input.addEventListener("change", () => {
-        try {
-          this.settings[key] = input.checked;
-          this._saveSettings();
-
-          // Apply live effects immediately
-          if (key === "liveUpdate") {
-            if (this.timer) clearInterval(this.timer);
-            this.timer = null;
-            if (this.settings.liveUpdate) this.startTimer();
-          }
+  /**
+   * Timestamps outside the scrollers (the "other" surface) aren't observed at
+   * all; _poll() picks them up every few seconds instead.
+   */
+  _sweepOther() {
+    if (!this.observer || !this.settings.surfaces.other?.enabled) return;
+    if (this._effectiveSettings().enabled === false) return;
+    const root = document.querySelector("#app-mount") || document.body;
+    for (const el of root.querySelectorAll(this.targetSelector)) {
+      if (this._attached.get(el)?.isConnected || this._inScroller(el)) continue;
+      if (this._classifySurface(el) === "other") this.attach(el);
+    }
+  }
 
-          if (key === "showTooltip" || key === "detailed") {
-            // Update existing chips immediately
-            document.querySelectorAll(`.${this.injectedClass}`).forEach(el => {
-              const ts = el.dataset.timestamp;
-              if (!ts) return;
-              const d = new Date(ts);
-              el.textContent = this.format(d);
-              if (this.settings.showTooltip) el.title = d.toLocaleString();
-              else el.removeAttribute("title");
-            });
-          }
+  /** Attaches to every timestamp in the watched scrollers and open profiles right away. */
+  processAll() {
+    try {
+      if (this.observer) {
+        this._scanScrollers();
+        this._scanProfileRoots();
+      }
+      this._pending.clear(); // everything queued lives in a scroller we're about to walk
+      for (const scroller of this._scrollers) {
+        scroller.querySelectorAll(this.targetSelector).forEach(t => this.attach(t));
+      }
+      this._sweepOther();
+      this._scanProfiles();
+      this._scanDividers();
+      this._updateGaps();
+      this._ensureComposerButton();
+      this.log("Full scan complete.");
+    } catch (e) {
+      this.error("Processing messages failed:", e);
+    }
+  }
 
-          this.log(`Setting changed: ${key} = ${input.checked}`);
-        } catch (e) {
-          this.error("Setting change failed:", e);
-        }
-      });
+  attach(timeEl) {
+    try {
+      if (!(timeEl instanceof Element)) return;
 
-      controlWrap.appendChild(input);
-      row.append(textWrap, controlWrap);
-      return row;
-    };
+      // Already handled: just bring its chip up to date
+      const known = this._attached.get(timeEl);
+      if (known?.isConnected && this._parseIso(known.dataset.timestamp)) {
+        this._refreshChip(known);
+        return;
+      }
+      this._attached.delete(timeEl);
 
-    panel.append(
-      mkSwitchRow(
-        "Detailed timestamps",
-        "Example: “5 minutes 22 seconds ago” instead of “5m ago”.",
-        "detailed"
-      ),
-      mkSwitchRow(
-        "Live update every second",
-        "Keeps relative timestamps ticking in real time.",
-        "liveUpdate"
-      ),
-      mkSwitchRow(
-        "Show full date on hover",
-        "Display the exact local datetime as a tooltip.",
-        "showTooltip"
-      ),
-      (() => {
-        const div = document.createElement("div");
-        div.className = "rel-divider";
-        return div;
-      })()
-    );
+      if (this._effectiveSettings().enabled === false) return;
 
-    // Actions row
-    const actions = document.createElement("div");
-    actions.className = "rel-row-end";
+      const surface = this._classifySurface(timeEl);
+      if (!this.settings.surfaces[surface]?.enabled) return;
 
-    const resetBtn = document.createElement("button");
-    resetBtn.className = "rel-btn";
-    resetBtn.textContent = "Reset to defaults";
-    resetBtn.addEventListener("click", () => {
-      try {
-        this.settings = { ...this.defaultSettings };
-        this._saveSettings();
+      // Message and channel links carry their date in the snowflake ID
+      const link = timeEl.tagName === "A" ? this._parseDiscordLink(timeEl.getAttribute("href")) : null;
+      if (link && !this.settings.linkChips) return;
 
-        // Re-render the panel to reflect new states
-        const newPanel = this.getSettingsPanel();
-        panel.replaceWith(newPanel);
+      const date = link ? link.date : this._readDate(timeEl);
+      if (!date) return;
 
+      // Discord sometimes swaps the <time> and leaves our chip behind; adopt it instead of adding another
+      const existingChip = this._findChip(timeEl);
+      if (existingChip) {
+        if (existingChip.dataset.placement === "replace") timeEl.setAttribute(this.replacedAttr, "");
+        existingChip.dataset.timestamp = date.toISOString();
+        this._refreshChip(existingChip);
+        this._attached.set(timeEl, existingChip);
+        return;
+      }
+
+      const span = document.createElement("span");
+      span.className = this.injectedClass;
+      span.dataset.timestamp = date.toISOString();
+      span.dataset.surface = surface;
+
+      if (link) {
+        span.dataset.kind = "link";
+        span.dataset.link = link.kind;
+        span.dataset.id = link.id;
+      } else if (this._isEditedMarker(timeEl)) {
+        span.classList.add(this.editedClass);
+        span.dataset.kind = "edited";
+        const sent = this._readSentDate(timeEl);
+        if (sent) span.dataset.sent = sent.toISOString();
+      }
+
+      // Link text is never a timestamp, so there is nothing to replace
+      const placement = link ? "after" : this.settings.placement;
+      span.dataset.placement = placement;
+      this._renderChip(span);
+      this._placeChip(timeEl, span, placement);
+
+      this._attached.set(timeEl, span);
+      this._trackChip(span);
+      this._emit("attached", { chip: span, element: timeEl, date });
+    } catch (e) {
+      this._count("attach");
+      this.warn("Attach failed:", e);
+    }
+  }
+
+  /**
+   * Our chip for `timeEl`, wherever the placement put it. Only direct
+   * neighbours count: links in running text can sit one word apart.
+   */
+  _findChip(timeEl) {
+    const isChip = el => !!el?.classList?.contains(this.injectedClass);
+    if (isChip(timeEl.nextSibling)) return timeEl.nextSibling;
+    if (isChip(timeEl.previousSibling)) return timeEl.previousSibling;
+    return null;
+  }
+
+  /**
+   * "replace" hides the <time> and puts the chip after it. Discord rewriting
+   * the <time>'s text leaves the chip alone; a new <time> adopts it (see attach).
+   */
+  _placeChip(timeEl, chip, placement) {
+    if (placement === "replace") {
+      timeEl.setAttribute(this.replacedAttr, "");
+      timeEl.parentNode?.insertBefore(chip, timeEl.nextSibling);
+    } else if (placement === "before") {
+      timeEl.parentNode?.insertBefore(chip, timeEl);
+    } else {
+      // Safer than .after() if Discord changes prototypes (very rare but possible)
+      timeEl.parentNode?.insertBefore(chip, timeEl.nextSibling);
+    }
+  }
+
+  /** Which surface (see SURFACES) an element sits in. */
+  _classifySurface(el) {
+    for (const { id, selector } of SURFACES) {
+      if (!selector || el.closest(selector)) return id;
+    }
+    return "other";
+  }
+
+  /**
+   * The settings a chip renders with: route settings plus its surface's
+   * format. Settings-panel samples skip the route: they show the plugin's
+   * own settings, not whatever channel happens to be open.
+   */
+  _chipSettings(chip) {
+    const base = "sample" in chip.dataset ? this.settings : this._effectiveSettings();
+    const surface = this.settings.surfaces[chip.dataset.surface];
+    const overrides = SURFACE_FORMATS[surface?.format] ?? SURFACE_FORMATS.default;
+    return overrides === SURFACE_FORMATS.default ? base : { ...base, ...overrides };
+  }
+
+  /** Removes every chip and its bookkeeping, e.g. before re-scanning with different rules. */
+  _removeChips() {
+    // Settings-panel samples aren't attached to anything; their panel redraws them
+    document.querySelectorAll(`.${this.injectedClass}:not([data-sample])`).forEach(e => {
+      this._untrackChip(e);
+      e.remove();
+    });
+    this._attached = new WeakMap();
+    document.querySelectorAll(`[${this.replacedAttr}]`).forEach(t => t.removeAttribute(this.replacedAttr));
+  }
+
+  /** Parses the date shown by a <time> tag or an inline timestamp-markdown span. */
+  _readDate(el) {
+    let date = null;
+
+    if (el.tagName === "TIME") {
+      // Discord uses datetime; some tooltips expose "title"
+      const dt = el.getAttribute("datetime") || el.getAttribute("title");
+      if (dt) date = new Date(dt);
+    } else {
+      // Inline wrappers around a <time> (e.g. the "(edited)" marker) are handled via that <time>
+      if (el.querySelector("time")) return null;
+
+      const unix = this._readMarkdownTimestamp(el);
+      if (unix !== null) date = new Date(unix * 1000);
+    }
+
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+  }
+
+  /**
+   * The markdown span carries no machine-readable date in the DOM, so read the
+   * parsed markdown node ({ type: "timestamp", timestamp: "<unix>" }) from React.
+   */
+  _readMarkdownTimestamp(el) {
+    try {
+      for (let depth = 0, fiber = this._fiberOf(el); fiber && depth < 10; depth++, fiber = fiber.return) {
+        const node = fiber.memoizedProps?.node;
+        if (node?.type === "timestamp" && node.timestamp != null) {
+          const unix = Number(node.timestamp);
+          if (Number.isFinite(unix)) return unix;
+        }
+      }
+    } catch (e) {
+      this.warn("Reading timestamp markdown failed:", e);
+    }
+    return null;
+  }
+
+  /** The React fiber behind a DOM node, via BdApi when it offers a helper. */
+  _fiberOf(el) {
+    const getInstance = this.api?.ReactUtils?.getInternalInstance ?? this.BdApiRef?.ReactUtils?.getInternalInstance;
+    const fiber = typeof getInstance === "function" ? getInstance(el) : null;
+    if (fiber) return fiber;
+    const key = Object.keys(el).find(k => k.startsWith("__reactFiber$") || k.startsWith("__reactInternalInstance$"));
+    return key ? el[key] : null;
+  }
+
+  /**
+   * Writes a chip's text. Returns the delay in ms until that text
+   * would next change, which is what the scheduler sleeps on.
+   */
+  _renderChip(chip, now = new Date()) {
+    const date = this._parseIso(chip.dataset.timestamp);
+    if (!date) return null;
+
+    let s = this._chipSettings(chip);
+    // Dates read from text like "Mar 3, 2020" carry no time of day
+    if (chip.dataset.precision === "day") s = { ...s, minUnit: "day" };
+    const reduced = this._reducedUpdates(s);
+    if (reduced && UNITS.indexOf(s.minUnit) > UNITS.indexOf("minute")) s = { ...s, minUnit: "minute" };
+    let { text, delay } = this._formatTimed(date, now, s);
+
+    if (chip.dataset.kind === "edited") {
+      const sent = this._parseIso(chip.dataset.sent);
+      if (sent && s.editedShowBoth) {
+        const sentTimed = this._formatTimed(sent, now, s);
+        text = this.t("sentAndEdited", sentTimed.text, text);
+        delay = Math.min(delay, sentTimed.delay);
+      } else {
+        text = this.t("editedAgo", text);
+      }
+    } else if (chip.dataset.kind === "link") {
+      text = this.t(chip.dataset.link === "channel" ? "linkChannelAge" : "linkMessageAge", text);
+    } else if (chip.dataset.kind === "account") {
+      text = this.t("accountCreated", text);
+      const warnMs = s.accountWarnDays * 86400000;
+      const young = warnMs > 0 && now - date < warnMs;
+      chip.toggleAttribute("data-rel-warn", young);
+      if (young) delay = Math.min(delay, warnMs - (now - date), MAX_TIMER_MS);
+    } else if (chip.dataset.kind === "joined") {
+      text = this.t("memberJoined", text);
+    }
+
+    // Edit, link and profile ages keep their own style
+    if (!chip.dataset.kind) delay = Math.min(delay, this._applyAgeTier(chip, now - date));
+
+    if (reduced) delay = Math.max(delay, 60000);
+
+    // Screen readers get the fixed date instead of text that changes every tick
+    const label = this._chipLabel(chip, date);
+    if (chip.getAttribute("aria-label") !== label) chip.setAttribute("aria-label", label);
+    if (chip.getAttribute("role") !== "timer") chip.setAttribute("role", "timer");
+
+    if (chip.textContent !== text) {
+      chip.textContent = text;
+      // attach() renders before inserting and reports "attached" instead
+      if (chip.isConnected && !("sample" in chip.dataset)) this._emit("refreshed", { chip, date, text });
+    }
+
+    // Focusable only while it has a hover card to show
+    if (s.showTooltip) chip.tabIndex = 0;
+    else chip.removeAttribute("tabindex");
+
+    return delay;
+  }
+
+  /** A chip's accessible name: what it dates plus the full date, which never ticks. */
+  _chipLabel(chip, date) {
+    const options = chip.dataset.precision === "day" ? { dateStyle: "full" } : { dateStyle: "full", timeStyle: "short" };
+    const when = this._intl(Intl.DateTimeFormat, this._getLocale(), options).format(date);
+    const template = {
+      edited: "editedAgo",
+      link: chip.dataset.link === "channel" ? "linkChannelAge" : "linkMessageAge",
+      account: "accountCreated",
+      joined: "memberJoined"
+    }[chip.dataset.kind];
+    const label = template ? this.t(template, when) : when;
+    return chip.hasAttribute("data-rel-warn") ? this.t("a11yNewAccount", label) : label;
+  }
+
+  /** "on", or "auto" while the system asks for reduced motion. */
+  _reducedUpdates(settings = this.settings) {
+    if (settings.reduceUpdates === "auto") return !!this._motionQuery?.matches;
+    return settings.reduceUpdates === "on";
+  }
+
+  /**
+   * Styles `el` for the age tier `ageMs` falls into (data-rel-tier plus CSS
+   * variables read by injectCSS()). With fading, colour and opacity blend
+   * towards the next tier in 5% steps. Returns ms until the style changes.
+   */
+  _applyAgeTier(el, ageMs, settings = this.settings) {
+    const { ageStyling, ageFade, ageTiers: tiers } = settings;
+    if (!ageStyling) {
+      if (el.dataset.relTier !== undefined) {
+        delete el.dataset.relTier;
+        delete el.dataset.relBadge;
+        for (const prop of ["--rel-color", "--rel-opacity", "--rel-weight"]) el.style.removeProperty(prop);
+      }
+      return Infinity;
+    }
+
+    const age = Math.max(0, ageMs) / 1000;
+    const index = tiers.findIndex(t => t.maxAge === null || age < t.maxAge);
+    const tier = tiers[index];
+    const next = tiers[index + 1];
+    const colorOf = t => TIER_COLORS[t.color] ?? t.color;
+
+    let color = colorOf(tier);
+    let opacity = tier.opacity;
+    let delay = next ? (tier.maxAge - age) * 1000 : Infinity;
+
+    if (ageFade && next) {
+      const start = tiers[index - 1]?.maxAge ?? 0;
+      const step = Math.min(19, Math.floor(((age - start) / (tier.maxAge - start)) * 20));
+      const mix = step * 5;
+      color = `color-mix(in srgb, ${colorOf(next)} ${mix}%, ${color})`;
+      opacity += ((next.opacity - opacity) * mix) / 100;
+      delay = (start + ((step + 1) / 20) * (tier.maxAge - start) - age) * 1000;
+    }
+
+    const set = (prop, value) => {
+      if (el.style.getPropertyValue(prop) !== value) el.style.setProperty(prop, value);
+    };
+    el.dataset.relTier = String(index);
+    set("--rel-color", color);
+    set("--rel-opacity", opacity.toFixed(2));
+    set("--rel-weight", String(tier.weight));
+    if (tier.badge) el.dataset.relBadge = tier.badge;
+    else delete el.dataset.relBadge;
+
+    return Math.max(delay, 250);
+  }
+
+  /**
+   * The message time in each configured zone, e.g.
+   * { label: "Berlin", text: "Tue 02:03 CET (+1 day)" } when the zone's calendar day differs.
+   */
+  _zoneTimes(date) {
+    const locale = this._getLocale();
+    const lines = [];
+
+    const localDay = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+    for (const { label, zone } of this.settings.tooltipZones) {
+      try {
+        const text = this._intl(Intl.DateTimeFormat, locale, {
+          timeZone: zone, weekday: "short", hour: "2-digit", minute: "2-digit", timeZoneName: "short"
+        }).format(date);
+
+        const parts = this._intl(Intl.DateTimeFormat, "en-US", {
+          timeZone: zone, year: "numeric", month: "numeric", day: "numeric"
+        }).formatToParts(date);
+        const part = type => Number(parts.find(p => p.type === type)?.value);
+        const offset = Math.round((Date.UTC(part("year"), part("month") - 1, part("day")) - localDay) / 86400000);
+
+        const dayNote = offset
+          ? ` (${this._intl(Intl.NumberFormat, locale, { style: "unit", unit: "day", unitDisplay: "long", signDisplay: "always" }).format(offset)})`
+          : "";
+        lines.push({ label, text: text + dayNote });
+      } catch (e) {
+        this.warn(`Tooltip zone "${zone}" failed:`, e);
+      }
+    }
+
+    return lines;
+  }
+
+  /** format() plus the delay until that text changes. */
+  _formatTimed(date, now, settings) {
+    const { text, unit, ref, until } = this._formatDetails(date, now, settings);
+    return { text, delay: Math.min(this._nextChangeDelay(date, ref, unit), until) };
+  }
+
+  _parseIso(value) {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+  }
+
+  /* ===========================
+   *  Hover card
+   * =========================== */
+  /**
+   * One shared card, opened by hovering or focusing a chip. Listeners are
+   * delegated from the document so chips need no handlers of their own.
+   */
+  _bindCard() {
+    if (this._cardHandlers) return;
+
+    const chipOf = target => target instanceof Element ? target.closest(`.${this.injectedClass}`) : null;
+    const inCard = target => target instanceof Node && !!this._card?.el.contains(target);
+
+    const handlers = {
+      mouseover: e => {
+        const chip = chipOf(e.target);
+        if (chip) this._showCard(chip);
+        else if (inCard(e.target)) clearTimeout(this._card.hideTimeout);
+      },
+      mouseout: e => {
+        if (!this._card || (!chipOf(e.target) && !inCard(e.target))) return;
+        // Moving between the chip and the card keeps it open so its text can be selected
+        if (e.relatedTarget === this._card.chip || inCard(e.relatedTarget)) return;
+        if (this._card.chip.contains(document.activeElement)) return;
+        this._scheduleHideCard();
+      },
+      focusin: e => {
+        const chip = chipOf(e.target);
+        if (chip) this._showCard(chip, true);
+      },
+      focusout: e => {
+        if (this._card && chipOf(e.target) === this._card.chip && !inCard(e.relatedTarget)) this._hideCard();
+      },
+      keydown: e => {
+        if (e.key !== "Escape" || !this._card) return;
+        // A card under the mouse is incidental; Escape still belongs to Discord (closing a modal, leaving a reply)
+        if (this._card.focused) e.stopPropagation();
+        this._hideCard();
+      }
+    };
+
+    for (const [type, fn] of Object.entries(handlers)) document.addEventListener(type, fn, true);
+    this._cardHandlers = handlers;
+  }
+
+  _unbindCard() {
+    if (this._cardHandlers) {
+      for (const [type, fn] of Object.entries(this._cardHandlers)) document.removeEventListener(type, fn, true);
+    }
+    this._cardHandlers = null;
+    this._hideCard();
+    document.getElementById(this.cardId)?.remove();
+  }
+
+  /** `focused`: opened by keyboard focus, which is what lets it claim Escape. */
+  _showCard(chip, focused = false) {
+    try {
+      if (!this._chipSettings(chip).showTooltip) return;
+
+      if (this._card?.chip === chip) {
+        clearTimeout(this._card.hideTimeout);
+        if (focused) this._card.focused = true;
+        return;
+      }
+      this._hideCard();
+
+      const el = document.createElement("div");
+      el.id = this.cardId;
+      el.className = "bd-rel-card";
+      el.setAttribute("role", "tooltip");
+      document.body.appendChild(el);
+      chip.setAttribute("aria-describedby", this.cardId);
+
+      this._card = { el, chip, focused, values: null, timer: null, hideTimeout: null };
+      this._renderCard();
+      this._positionCard();
+
+      // The exact elapsed time counts in seconds, so tick while open
+      this._card.timer = setInterval(() => this._renderCard(), this._reducedUpdates(this._chipSettings(chip)) ? 60000 : 1000);
+    } catch (e) {
+      this.warn("Showing hover card failed:", e);
+    }
+  }
+
+  _scheduleHideCard() {
+    if (!this._card) return;
+    clearTimeout(this._card.hideTimeout);
+    this._card.hideTimeout = setTimeout(() => this._hideCard(), 150);
+  }
+
+  _hideCard() {
+    if (!this._card) return;
+    const { el, chip, timer, hideTimeout } = this._card;
+    clearInterval(timer);
+    clearTimeout(hideTimeout);
+    chip.removeAttribute("aria-describedby");
+    el.remove();
+    this._card = null;
+  }
+
+  /** Label/value pairs shown in the card for a chip. */
+  _cardRows(chip, now = new Date()) {
+    const date = this._parseIso(chip.dataset.timestamp);
+    if (!date) return [];
+
+    const s = this._chipSettings(chip);
+    const locale = this._getLocale();
+    const full = d => this._intl(Intl.DateTimeFormat, locale, { dateStyle: "full", timeStyle: "long" }).format(d);
+    const relative = preset => this.format(date, now, { ...s, ...SURFACE_FORMATS[preset], hybrid: false, formatter: "" });
+
+    const rows = [[this.t("cardLocal"), full(date)]];
+    for (const { label, text } of this._zoneTimes(date)) rows.push([label, text]);
+
+    rows.push(
+      [this.t("cardIso"), date.toISOString()],
+      [this.t("cardUnix"), String(Math.floor(date.getTime() / 1000))],
+      [this.t(date > now ? "cardRemaining" : "cardElapsed"), this._formatDuration(now - date, { maxUnits: 4 })],
+      [this.t("cardDetailed"), relative("detailed")],
+      [this.t("cardCompact"), relative("compact")]
+    );
+
+    if (chip.dataset.kind === "edited") {
+      const sent = this._parseIso(chip.dataset.sent);
+      if (sent) {
+        rows.push([this.t("cardSent"), full(sent)], [this.t("cardEdited"), this.t("editedAfter", this._formatDuration(date - sent))]);
+      }
+    } else if (chip.dataset.kind === "link") {
+      rows.push([this.t(chip.dataset.link === "channel" ? "cardChannelId" : "cardMessageId"), chip.dataset.id]);
+    } else if (chip.dataset.kind === "account") {
+      rows.push([this.t("cardUserId"), chip.dataset.id]);
+    }
+    return rows;
+  }
+
+  _renderCard() {
+    const card = this._card;
+    if (!card) return;
+    if (!card.chip.isConnected) {
+      this._hideCard();
+      return;
+    }
+
+    const rows = this._cardRows(card.chip);
+    // Ticks only rewrite the values that changed, so text selected in the card stays selected
+    if (card.values?.length === rows.length) {
+      rows.forEach(([, value], i) => {
+        if (card.values[i].data !== value) card.values[i].data = value;
+      });
+      return;
+    }
+
+    const list = document.createElement("dl");
+    card.values = rows.map(([label, value]) => {
+      const dt = document.createElement("dt");
+      dt.textContent = label;
+      const dd = document.createElement("dd");
+      const text = document.createTextNode(value);
+      dd.appendChild(text);
+      list.append(dt, dd);
+      return text;
+    });
+    card.el.replaceChildren(list);
+  }
+
+  /** Below the chip, or above it when there is no room; kept inside the viewport. */
+  _positionCard() {
+    const { el, chip } = this._card;
+    const anchor = chip.getBoundingClientRect();
+    const box = el.getBoundingClientRect();
+    const margin = 8;
+
+    let top = anchor.bottom + 6;
+    if (top + box.height > window.innerHeight - margin) top = Math.max(margin, anchor.top - box.height - 6);
+    const left = Math.min(Math.max(margin, anchor.left), Math.max(margin, window.innerWidth - box.width - margin));
+
+    el.style.top = `${Math.round(top)}px`;
+    el.style.left = `${Math.round(left)}px`;
+  }
+
+  /* ===========================
+   *  Copy actions
+   * =========================== */
+  /**
+   * Clicking (or Enter on) a chip copies the configured format; right-clicking
+   * opens a menu with every format. Discord's own message menu gets the same
+   * items when BdApi.ContextMenu exists.
+   */
+  _bindActions() {
+    if (this._actionHandlers) return;
+
+    // Settings-panel samples have nothing to copy
+    const chipOf = target => target instanceof Element ? target.closest(`.${this.injectedClass}:not([data-sample])`) : null;
+
+    const handlers = {
+      click: e => {
+        if (this._menu && !this._menu.contains(e.target)) this._closeChipMenu();
+        const chip = chipOf(e.target);
+        if (!chip || this.settings.clickCopy === "off") return;
+        // A replacing chip stands in for Discord's timestamp link; clicking it still jumps to the message
+        if (chip.dataset.placement === "replace") return;
+        // Selecting the chip's text ends in a click too; leave that selection alone
+        if (chip.contains(window.getSelection?.()?.anchorNode ?? null) && String(window.getSelection())) return;
+        e.preventDefault();
+        e.stopPropagation();
+        this._copyChip(chip, this.settings.clickCopy);
+      },
+      keydown: e => {
+        if (e.key === "Escape" && this._menu) {
+          e.stopPropagation();
+          this._closeChipMenu();
+          return;
+        }
+        const chip = chipOf(e.target);
+        if (chip && e.key === "Enter" && this.settings.clickCopy !== "off") {
+          e.preventDefault();
+          this._copyChip(chip, this.settings.clickCopy);
+        }
+      },
+      contextmenu: e => {
+        const chip = chipOf(e.target);
+        if (!chip) return;
+        // Keep Discord's message menu from opening over ours
+        e.preventDefault();
+        e.stopPropagation();
+        this._openChipMenu(e, chip);
+      }
+    };
+
+    for (const [type, fn] of Object.entries(handlers)) document.addEventListener(type, fn, true);
+    this._actionHandlers = handlers;
+
+    this._patchMessageMenu();
+  }
+
+  _unbindActions() {
+    if (this._actionHandlers) {
+      for (const [type, fn] of Object.entries(this._actionHandlers)) document.removeEventListener(type, fn, true);
+    }
+    this._actionHandlers = null;
+    this._closeChipMenu();
+
+    try {
+      this._unpatchMessageMenu?.();
+    } catch (e) {
+      this.warn("Removing message menu patch failed:", e);
+    }
+    this._unpatchMessageMenu = null;
+  }
+
+  _getContextMenuApi() {
+    return this.api?.ContextMenu ?? this.BdApiRef?.ContextMenu ?? null;
+  }
+
+  /** The text a COPY_FORMATS entry produces for `date`. */
+  _copyText(date, format) {
+    const unix = Math.floor(date.getTime() / 1000);
+    switch (format) {
+      case "unix": return String(unix);
+      case "discordF": return `<t:${unix}:F>`;
+      case "discordR": return `<t:${unix}:R>`;
+      case "locale": return date.toLocaleString(this._getLocale());
+      default: return date.toISOString();
+    }
+  }
+
+  /** Menu entries (label + text to copy) for every copy format. */
+  _copyItems(date) {
+    return COPY_FORMATS.map(({ id, label }) => ({ label: this.t(label), text: this._copyText(date, id) }));
+  }
+
+  _copyChip(chip, format) {
+    const date = this._parseIso(chip.dataset.timestamp);
+    if (date) this._copy(this._copyText(date, format));
+  }
+
+  async _copy(text) {
+    try {
+      // Discord's desktop client exposes its own clipboard bridge; the web API needs focus and permission
+      const native = window.DiscordNative?.clipboard;
+      if (typeof native?.copy === "function") native.copy(text);
+      else await navigator.clipboard.writeText(text);
+      this.toast(this.t("toastCopied", text), "success", 2000);
+    } catch (e) {
+      this.warn("Copy failed:", e);
+      this.toast(this.t("toastCopyFailed"), "error", 3000);
+    }
+  }
+
+  _openChipMenu(event, chip) {
+    const date = this._parseIso(chip.dataset.timestamp);
+    if (!date) return;
+
+    this._hideCard();
+    this._closeChipMenu();
+    const items = this._copyItems(date);
+
+    try {
+      const cm = this._getContextMenuApi();
+      if (typeof cm?.open === "function" && typeof cm?.buildMenu === "function") {
+        cm.open(event, cm.buildMenu(items.map(({ label, text }) => ({ label, action: () => this._copy(text) }))));
+        return;
+      }
+    } catch (e) {
+      this.warn("BdApi context menu failed, using fallback:", e);
+    }
+
+    // Fallback: a small menu styled like the hover card
+    const menu = document.createElement("div");
+    menu.className = "bd-rel-card bd-rel-menu";
+    menu.setAttribute("role", "menu");
+    for (const { label, text } of items) {
+      const item = document.createElement("button");
+      item.setAttribute("role", "menuitem");
+      item.textContent = label;
+      item.title = text;
+      item.addEventListener("click", () => {
+        this._closeChipMenu();
+        this._copy(text);
+      });
+      menu.appendChild(item);
+    }
+    document.body.appendChild(menu);
+
+    const box = menu.getBoundingClientRect();
+    menu.style.left = `${Math.max(8, Math.min(event.clientX, window.innerWidth - box.width - 8))}px`;
+    menu.style.top = `${Math.max(8, Math.min(event.clientY, window.innerHeight - box.height - 8))}px`;
+    this._menu = menu;
+    menu.querySelector("button")?.focus();
+  }
+
+  _closeChipMenu() {
+    this._menu?.remove();
+    this._menu = null;
+  }
+
+  /** Adds a "Copy timestamp" submenu to Discord's message context menu. */
+  _patchMessageMenu() {
+    const cm = this._getContextMenuApi();
+    if (typeof cm?.patch !== "function" || typeof cm?.buildItem !== "function") return;
+
+    try {
+      this._unpatchMessageMenu = cm.patch("message", (tree, props) => {
+        try {
+          const message = props?.message;
+          // The snowflake is exact to the millisecond and needs no date library
+          const date = message?.id ? this._snowflakeToDate(message.id) : null;
+          const children = tree?.props?.children;
+          if (!date || !Array.isArray(children)) return;
+
+          children.push(cm.buildItem({ type: "separator" }), cm.buildItem({
+            type: "submenu",
+            label: this.t("copyTimestamp"),
+            items: this._copyItems(date).map(({ label, text }) => ({ label, action: () => this._copy(text) }))
+          }));
+        } catch (e) {
+          this.warn("Message menu patch failed:", e);
+        }
+      });
+    } catch (e) {
+      this.warn("Patching the message menu failed:", e);
+    }
+  }
+
+  /* ===========================
+   *  Composer helper
+   * =========================== */
+  /**
+   * A small dialog, opened by Alt+T or the clock button in the message box,
+   * that turns "tomorrow 17:00" into <t:unix:STYLE> markdown and inserts it.
+   */
+  _bindComposer() {
+    if (this._composerHandlers) return;
+
+    const handlers = {
+      keydown: e => {
+        if (this._composer && e.key === "Escape") {
+          e.stopPropagation();
+          this._closeComposer();
+          return;
+        }
+        // e.code, since Alt changes e.key on some layouts (Option+T is "†" on macOS)
+        if (e.code !== "KeyT" || !e.altKey || e.ctrlKey || e.metaKey || e.shiftKey || e.repeat) return;
+        if (!this.settings.composerHelper) return;
+        e.preventDefault();
+        e.stopPropagation();
+        this._toggleComposer();
+      },
+      mousedown: e => {
+        if (!this._composer || this._composer.el.contains(e.target)) return;
+        if (e.target instanceof Element && e.target.closest(`.${this.composerButtonClass}`)) return;
+        this._closeComposer();
+      }
+    };
+
+    for (const [type, fn] of Object.entries(handlers)) document.addEventListener(type, fn, true);
+    this._composerHandlers = handlers;
+  }
+
+  _unbindComposer() {
+    if (this._composerHandlers) {
+      for (const [type, fn] of Object.entries(this._composerHandlers)) document.removeEventListener(type, fn, true);
+    }
+    this._composerHandlers = null;
+    this._closeComposer();
+    this._removeComposerButtons();
+  }
+
+  /** Puts the clock button into the message box's button bar if it's missing. */
+  _ensureComposerButton() {
+    try {
+      if (!this.observer || !this.settings.composerHelper) return;
+      const bar = document.querySelector(this.composerButtonsSelector);
+      if (!bar || bar.querySelector(`.${this.composerButtonClass}`)) return;
+
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = this.composerButtonClass;
+      btn.title = this.t("composerButton");
+      btn.setAttribute("aria-label", this.t("composerButton"));
+      btn.innerHTML = `<svg width="22" height="22" viewBox="0 0 24 24" aria-hidden="true"><path fill="currentColor" d="M12 2a10 10 0 1 0 0 20 10 10 0 0 0 0-20Zm0 18a8 8 0 1 1 0-16 8 8 0 0 1 0 16Zm1-13h-2v6l5.2 3.1 1-1.6-4.2-2.5V7Z"/></svg>`;
+      btn.addEventListener("click", () => this._toggleComposer());
+      bar.prepend(btn);
+    } catch (e) {
+      this.warn("Adding the composer button failed:", e);
+    }
+  }
+
+  _removeComposerButtons() {
+    document.querySelectorAll(`.${this.composerButtonClass}`).forEach(b => b.remove());
+  }
+
+  _toggleComposer() {
+    if (this._composer) this._closeComposer();
+    else this._openComposer();
+  }
+
+  _openComposer() {
+    try {
+      this._closeComposer();
+
+      const el = document.createElement("div");
+      el.className = "bd-rel-card bd-rel-composer";
+      el.setAttribute("role", "dialog");
+      el.setAttribute("aria-label", this.t("composerTitle"));
+
+      const title = document.createElement("div");
+      title.className = "bd-rel-composer-title";
+      title.textContent = this.t("composerTitle");
+
+      const input = document.createElement("input");
+      input.className = "rel-input";
+      input.placeholder = this.t("composerPlaceholder");
+      input.setAttribute("aria-label", this.t("composerTitle"));
+
+      const status = document.createElement("div");
+      status.className = "bd-rel-composer-status";
+      status.setAttribute("aria-live", "polite");
+
+      const list = document.createElement("div");
+      list.className = "bd-rel-composer-styles";
+
+      el.append(title, input, status, list);
+      document.body.appendChild(el);
+
+      this._composer = { el, input, status, list, date: null, selected: this.settings.composerStyle };
+
+      input.addEventListener("input", () => this._renderComposer());
+      input.addEventListener("keydown", e => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          this._insertTimestamp(this._composer.selected);
+        } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+          e.preventDefault();
+          const styles = DISCORD_STYLES.map(s => s.style);
+          const step = e.key === "ArrowDown" ? 1 : -1;
+          const index = styles.indexOf(this._composer.selected);
+          this._composer.selected = styles[(index + step + styles.length) % styles.length];
+          this._renderComposer();
+        }
+      });
+
+      this._renderComposer();
+
+      // Sit just above the message box, or centred when there is none
+      const anchor = document.querySelector(this.composerTextboxSelector)?.getBoundingClientRect();
+      const box = el.getBoundingClientRect();
+      const left = anchor ? anchor.left : (window.innerWidth - box.width) / 2;
+      const top = anchor ? anchor.top - box.height - 12 : (window.innerHeight - box.height) / 2;
+      el.style.left = `${Math.round(Math.max(8, Math.min(left, window.innerWidth - box.width - 8)))}px`;
+      el.style.top = `${Math.round(Math.max(8, top))}px`;
+
+      input.focus();
+    } catch (e) {
+      this.warn("Opening the composer helper failed:", e);
+    }
+  }
+
+  _closeComposer() {
+    this._composer?.el.remove();
+    this._composer = null;
+  }
+
+  /** Re-parses the input and redraws the status line and style previews. */
+  _renderComposer() {
+    const c = this._composer;
+    if (!c) return;
+
+    const text = c.input.value.trim();
+    const date = text ? this._parseNatural(text) : null;
+    c.date = date;
+
+    const locale = this._getLocale();
+    c.input.classList.toggle("invalid", !!text && !date);
+    c.status.textContent = date
+      ? this._intl(Intl.DateTimeFormat, locale, { dateStyle: "full", timeStyle: "long" }).format(date)
+      : this.t(text ? "composerInvalid" : "composerHint");
+
+    const unix = date ? Math.floor(date.getTime() / 1000) : null;
+    c.list.replaceChildren(...DISCORD_STYLES.map(({ style, options }) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "bd-rel-composer-style";
+      btn.classList.toggle("selected", style === c.selected);
+      btn.disabled = !date;
+
+      const preview = document.createElement("span");
+      preview.textContent = !date ? "—"
+        : options ? this._intl(Intl.DateTimeFormat, locale, options).format(date)
+        : this.format(date);
+      const code = document.createElement("code");
+      code.textContent = `<t:${unix ?? "…"}:${style}>`;
+
+      btn.append(preview, code);
+      btn.addEventListener("click", () => this._insertTimestamp(style));
+      return btn;
+    }));
+  }
+
+  _insertTimestamp(style) {
+    const date = this._composer?.date;
+    if (!date) return;
+
+    if (style !== this.settings.composerStyle) this._setSetting("composerStyle", style);
+    this._closeComposer();
+    this._insertIntoComposer(`<t:${Math.floor(date.getTime() / 1000)}:${style}>`);
+  }
+
+  /** Types `text` at the caret of Discord's message box, or copies it if that isn't possible. */
+  _insertIntoComposer(text) {
+    try {
+      const box = document.querySelector(this.composerTextboxSelector);
+      if (box) {
+        box.focus();
+        // The editor listens for native input events, which execCommand produces
+        if (document.execCommand("insertText", false, text)) return;
+      }
+    } catch (e) {
+      this.warn("Inserting into the message box failed:", e);
+    }
+    this._copy(text);
+  }
+
+  /**
+   * Reads "now", "in 2h", "3 days ago", "tomorrow 17:00", "fri 9am CET",
+   * "2026-10-20 18:30 Europe/Berlin", ISO 8601 or Unix time. Returns null when
+   * it can't make sense of the input.
+   */
+  _parseNatural(input, now = new Date()) {
+    const text = input.trim().toLowerCase().replace(/,/g, " ").replace(/\s+/g, " ");
+    if (!text) return null;
+    if (text === "now") return new Date(now.getTime());
+
+    // Unix seconds or milliseconds
+    if (/^\d{9,13}$/.test(text)) return new Date(text.length > 11 ? Number(text) : Number(text) * 1000);
+
+    // Full ISO 8601 with a time part; Date handles its offsets itself
+    if (/^\d{4}-\d{2}-\d{2}t/.test(text)) return this._parseIso(input.trim());
+
+    const relative = text.match(/^in (.+)$/) ?? text.match(/^(.+) ago$/);
+    if (relative) {
+      const span = this._parseDurationWords(relative[1]);
+      if (!span) return null;
+      const sign = text.startsWith("in ") ? 1 : -1;
+      return new Date(this._addCalendar(now, sign * span.months).getTime() + sign * span.ms);
+    }
+
+    // Optional trailing zone; without one, times are local
+    const tokens = text.split(" ");
+    let offsetAt = instant => -new Date(instant).getTimezoneOffset();
+    const zoneOffset = tokens.length > 1 ? this._parseZoneToken(tokens.at(-1)) : null;
+    if (zoneOffset) {
+      offsetAt = zoneOffset;
+      tokens.pop();
+    }
+
+    // Work on wall-clock time in that zone, stored as if it were UTC
+    const DAY = UNIT_MS.day;
+    const wallNow = now.getTime() + offsetAt(now.getTime()) * 60000;
+    const today = wallNow - (((wallNow % DAY) + DAY) % DAY);
+    const dayWords = { today: 0, tomorrow: 1, tmr: 1, yesterday: -1 };
+    const weekdays = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+    let day = null;
+    let time = null;
+    let weekday = null;
+    for (let i = 0; i < tokens.length; i++) {
+      let tok = tokens[i];
+      if (tok === "at" || tok === "on" || tok === "next") continue;
+
+      if (tok in dayWords) {
+        day = today + dayWords[tok] * DAY;
+        continue;
+      }
+      // "fri", "thurs", "tuesday"…
+      const wd = tok.length >= 3 ? weekdays.findIndex(name => name.startsWith(tok)) : -1;
+      if (wd >= 0) {
+        weekday = wd;
+        continue;
+      }
+
+      let m = tok.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+      if (m) {
+        day = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+        continue;
+      }
+
+      if (tok === "noon" || tok === "midnight") {
+        time = tok === "noon" ? 720 : 0;
+        continue;
+      }
+
+      // "17:00", "5pm", "5:30pm" or "5 pm"
+      if (tokens[i + 1] === "am" || tokens[i + 1] === "pm") tok += tokens[++i];
+      m = tok.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+      if (!m || (!m[2] && !m[3])) return null;
+      let hour = Number(m[1]);
+      const minute = Number(m[2] ?? 0);
+      if (m[3]) {
+        if (hour < 1 || hour > 12) return null;
+        hour = (hour % 12) + (m[3] === "pm" ? 12 : 0);
+      }
+      if (hour > 23 || minute > 59) return null;
+      time = hour * 60 + minute;
+    }
+
+    if (weekday !== null) {
+      if (day !== null) return null;
+      day = today + (((weekday - new Date(today).getUTCDay()) + 7) % 7) * DAY;
+      // "fri" on a Friday means next week once that time has passed
+      if (day + (time ?? 0) * 60000 <= wallNow) day += 7 * DAY;
+    } else if (day === null) {
+      if (time === null) return null;
+      // A bare time that already passed today means tomorrow
+      day = today + (today + time * 60000 <= wallNow ? DAY : 0);
+    }
+
+    const wall = day + (time ?? 0) * 60000;
+    const guess = wall - offsetAt(wall) * 60000;
+    const date = new Date(wall - offsetAt(guess) * 60000);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /** "2h 30m" / "1 day and 3 hours" → { months, ms }, or null. */
+  _parseDurationWords(text) {
+    const re = /(\d+(?:\.\d+)?)\s*([a-z]+)/g;
+    const leftover = text.replace(re, " ").replace(/\band\b/g, " ").trim();
+    if (leftover) return null;
+
+    let months = 0;
+    let ms = 0;
+    let found = false;
+    for (const [, amount, word] of text.matchAll(re)) {
+      const unit = DURATION_WORDS[word];
+      const n = Number(amount);
+      if (!unit) return null;
+      found = true;
+      if (unit === "month" || unit === "year") {
+        // Calendar units only make sense whole
+        if (!Number.isInteger(n)) return null;
+        months += unit === "year" ? n * 12 : n;
+      } else {
+        ms += n * (unit === "week" ? 7 * UNIT_MS.day : UNIT_MS[unit]);
+      }
+    }
+    return found ? { months, ms: Math.round(ms) } : null;
+  }
+
+  /**
+   * A zone token ("cet", "utc+2", "+05:30", "europe/berlin") as a function
+   * from an instant to that zone's UTC offset in minutes, or null.
+   */
+  _parseZoneToken(tok) {
+    if (tok in ZONE_ABBREVIATIONS) return () => ZONE_ABBREVIATIONS[tok];
+
+    const m = tok.match(/^(?:utc|gmt)?([+-])(\d{1,2})(?::?(\d{2}))?$/);
+    if (m) {
+      const minutes = (m[1] === "-" ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3] ?? 0));
+      return Math.abs(minutes) <= 14 * 60 ? () => minutes : null;
+    }
+
+    // IANA names are case-insensitive for Intl
+    if (!tok.includes("/") || this._checkTimeZone(tok)) return null;
+    const dtf = this._intl(Intl.DateTimeFormat, "en-US", {
+      timeZone: tok, hourCycle: "h23", year: "numeric", month: "numeric", day: "numeric",
+      hour: "numeric", minute: "numeric", second: "numeric"
+    });
+    return instant => {
+      const parts = Object.fromEntries(dtf.formatToParts(new Date(instant)).map(p => [p.type, Number(p.value)]));
+      const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+      return Math.round((wall - Math.floor(instant / 1000) * 1000) / 60000);
+    };
+  }
+
+  /* ===========================
+   *  Edited markers
+   * =========================== */
+  /** Discord renders "(edited)" as a <time> holding the edit date, inside or around an "edited" span. */
+  _isEditedMarker(timeEl) {
+    return timeEl.tagName === "TIME" &&
+      !!(timeEl.querySelector('[class*="edited"]') || timeEl.closest('[class*="edited"]'));
+  }
+
+  /** When the edited message was originally sent: its ID, else its header <time>. */
+  _readSentDate(el) {
+    const li = el.closest('li[id^="chat-messages-"]');
+    if (li) {
+      const date = this._snowflakeToDate(li.id.split("-").pop());
+      if (date) return date;
+    }
+    const header = el.closest('[id^="chat-messages-"], [class*="message"]')?.querySelector('time[id^="message-timestamp-"]');
+    return header ? this._readDate(header) : null;
+  }
+
+  /** Re-renders a chip now and, if the scheduler tracks it, moves its wake-up. */
+  _refreshChip(chip, now = new Date()) {
+    const delay = this._renderChip(chip, now);
+    if (this._due?.has(chip) && delay !== null) {
+      this._due.set(chip, now.getTime() + delay);
+      this._requestArm();
+    }
+  }
+
+  refreshAll() {
+    try {
+      const now = new Date();
+      document.querySelectorAll(`.${this.injectedClass}`).forEach(el => this._refreshChip(el, now));
+    } catch (e) {
+      this._count("refresh");
+      this.warn("Refresh failed:", e);
+    }
+  }
+
+  /* ===========================
+   *  Server & channel overrides
+   * =========================== */
+  /** Guild and channel IDs from the current URL (/channels/<guild|@me>/<channel>). */
+  _getRoute() {
+    const m = /^\/channels\/(@me|\d+)(?:\/(\d+))?/.exec(location.pathname);
+    return {
+      guildId: m && m[1] !== "@me" ? m[1] : null,
+      channelId: m?.[2] ?? null
+    };
+  }
+
+  /**
+   * Global settings with the current server's override and then the current
+   * channel's merged on top. Cached until the route or any setting changes.
+   */
+  _effectiveSettings() {
+    const key = `${location.pathname}|${this._settingsRev}`;
+    if (this._routeCache?.key === key && this._routeCache.base === this.settings) return this._routeCache.settings;
+
+    const { guildId, channelId } = this._getRoute();
+    const find = (scope, id) => id && this.settings.overrides.find(o => o.scope === scope && o.id === id);
+    const guild = find("guild", guildId);
+    const channel = find("channel", channelId);
+
+    let settings = this.settings;
+    if (guild || channel) settings = { ...this.settings, ...guild?.settings, ...channel?.settings };
+
+    this._routeCache = { key, base: this.settings, settings };
+    return settings;
+  }
+
+  /** Runs the scheduler exactly when the plugin is running and live updates apply here. */
+  _syncScheduler() {
+    const wanted = !!this.observer && this._effectiveSettings().liveUpdate;
+    if (wanted && !this._due) this.startScheduler();
+    else if (!wanted && this._due) this.stopScheduler();
+  }
+
+  /** Re-applies route-dependent settings: chips may turn on/off or change format. */
+  _onRouteChange() {
+    try {
+      const { guildId, channelId } = this._getRoute();
+      this.log("Route changed:", guildId ?? "@me", channelId);
+
+      // Still holds the previous route's settings. Usually nothing differs, and
+      // the new channel's messages arrive through the observer anyway.
+      const before = this._routeCache?.settings;
+      const after = this._effectiveSettings();
+      if (!before || JSON.stringify(before) !== JSON.stringify(after)) {
+        this._removeChips();
+        this.processAll();
+      }
+      this._syncScheduler();
+    } catch (e) {
+      this.warn("Applying route overrides failed:", e);
+    }
+  }
+
+  /* ===========================
+   *  Snowflakes & links
+   * =========================== */
+  /** A Discord ID's top 42 bits are milliseconds since the Discord epoch (2015). */
+  _snowflakeToDate(id) {
+    if (!/^\d{17,20}$/.test(String(id))) return null;
+    try {
+      const ms = Number((BigInt(id) >> 22n) + DISCORD_EPOCH);
+      return new Date(ms);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * What a Discord link points at, from /channels/<guild|@me>/<channel>[/<message>]:
+   * { kind: "message" | "channel", id, date }, or null for anything else.
+   */
+  _parseDiscordLink(href) {
+    let url;
+    try {
+      url = new URL(href ?? "", location.origin);
+    } catch {
+      return null;
+    }
+    if (!/(^|\.)discord(app)?\.com$/.test(url.hostname)) return null;
+
+    const m = /^\/channels\/(?:@me|\d+)\/(\d+)(?:\/(\d+))?\/?$/.exec(url.pathname);
+    if (!m) return null;
+    const id = m[2] ?? m[1];
+    const date = this._snowflakeToDate(id);
+    return date ? { kind: m[2] ? "message" : "channel", id, date } : null;
+  }
+
+  /* ===========================
+   *  User profiles
+   * =========================== */
+  /**
+   * Popouts and profiles have no <time>: the account age comes from the user
+   * ID in the avatar URL, the join date from the "Member Since" entries
+   * (Discord's first, this server's second). Runs whenever an open profile
+   * changes, so it must stay cheap when nothing did.
+   */
+  _scanProfiles() {
+    if (!this.settings.profileChips || this._effectiveSettings().enabled === false) return;
+    try {
+      for (const profile of this._profiles) {
+        if (!profile.isConnected) continue;
+        const since = [...profile.querySelectorAll(this.memberSinceSelector)]
+          .filter(el => !el.firstElementChild && el.textContent.trim());
+        const userId = this._profileUserId(profile);
+
+        if (userId) {
+          const anchor = since[0] ?? profile.querySelector(this.profileNameSelector);
+          if (anchor) this._attachProfileChip(anchor, "account", { date: this._snowflakeToDate(userId), precise: true }, userId);
+        }
+        if (since[1]) this._attachProfileChip(since[1], "joined", this._readJoinDate(since[1]), userId);
+      }
+    } catch (e) {
+      this._count("attach");
+      this.warn("Profile scan failed:", e);
+    }
+  }
+
+  /** Starts watching popouts/profiles that opened and forgets those that closed. */
+  _scanProfileRoots() {
+    if (!this._profileObserver) return;
+    const found = new Set(document.querySelectorAll(this.profileSelector));
+    if (found.size === this._profiles.size && [...found].every(p => this._profiles.has(p))) return;
+
+    this._profiles = found;
+    this._profileObserver.disconnect();
+    for (const profile of found) this._profileObserver.observe(profile, { childList: true, subtree: true });
+    this._profilesDirty = found.size > 0;
+    if (this._profilesDirty) this._requestBatch();
+  }
+
+  /**
+   * The profile's user ID: from the user record React renders it with, else
+   * from its avatar URL (/avatars/<id>/… or /users/<id>/avatars/…). Default
+   * avatars carry no ID, so that fallback can come up empty.
+   */
+  _profileUserId(profile) {
+    for (let depth = 0, fiber = this._fiberOf(profile); fiber && depth < 15; depth++, fiber = fiber.return) {
+      const props = fiber.memoizedProps;
+      const id = props?.user?.id ?? props?.userId;
+      if (this._snowflakeToDate(id)) return String(id);
+    }
+    // Only the first avatar: further down are mutual friends and server members
+    const img = profile.querySelector('img[src*="/avatars/"]');
+    const m = /\/(?:avatars|users)\/(\d{17,20})\//.exec(img?.getAttribute("src") ?? "");
+    return m ? m[1] : null;
+  }
+
+  /**
+   * The member's join date: exact from the member record behind the entry if
+   * React exposes it, else parsed from the shown text (day precision), which
+   * is in Discord's language rather than ours.
+   */
+  _readJoinDate(el) {
+    for (let depth = 0, fiber = this._fiberOf(el); fiber && depth < 15; depth++, fiber = fiber.return) {
+      const props = fiber.memoizedProps;
+      const joined = props?.guildMember?.joinedAt ?? props?.joinedAt;
+      const date = joined ? new Date(joined) : null;
+      if (date && !Number.isNaN(date.getTime())) return { date, precise: true };
+    }
+    const date = this._parseShownDate(el.textContent, this._getDiscordLocale());
+    return date ? { date, precise: false } : null;
+  }
+
+  /**
+   * Parses a date written out in `locale`, like "Jan 5, 2020", "5. Jan. 2020"
+   * or "2020年1月5日": the four-digit number is the year, a month may be named,
+   * and the remaining numbers follow the locale's own day/month order.
+   * Null unless that gives a real calendar day.
+   */
+  _parseShownDate(text, locale) {
+    try {
+      const sample = new Date(Date.UTC(2020, 0, 5));
+      const order = this._intl(Intl.DateTimeFormat, locale, { dateStyle: "short", timeZone: "UTC" })
+        .formatToParts(sample).map(p => p.type).filter(type => type === "day" || type === "month");
+
+      const months = new Map();
+      for (const month of ["short", "long"]) {
+        const fmt = this._intl(Intl.DateTimeFormat, locale, { day: "numeric", month, timeZone: "UTC" });
+        for (let m = 0; m < 12; m++) {
+          const name = fmt.formatToParts(Date.UTC(2020, m, 15)).find(p => p.type === "month")?.value;
+          if (name && !/\d/.test(name)) months.set(name.toLocaleLowerCase(locale).replace(/\.$/, ""), m);
+        }
+      }
+
+      let year = null;
+      let month = null;
+      const numbers = [];
+      for (const token of text.toLocaleLowerCase(locale).match(/\p{L}+|\d+/gu) ?? []) {
+        if (/^\d{4}$/.test(token) && year === null) year = Number(token);
+        else if (/^\d+$/.test(token)) numbers.push(Number(token));
+        else if (months.has(token) && month === null) month = months.get(token);
+      }
+      if (year === null) return null;
+
+      let day;
+      if (month !== null && numbers.length === 1) day = numbers[0];
+      else if (month === null && numbers.length === 2 && order.length === 2) {
+        const parts = { [order[0]]: numbers[0], [order[1]]: numbers[1] };
+        day = parts.day;
+        month = parts.month - 1;
+      } else return null;
+
+      const date = new Date(year, month, day);
+      return date.getMonth() === month && date.getDate() === day ? date : null;
+    } catch {
+      return null;
+    }
+  }
+
+  _attachProfileChip(anchor, kind, read, userId) {
+    const date = read?.date;
+    if (!date) return;
+    const iso = date.toISOString();
+
+    const known = this._attached.get(anchor);
+    if (known?.isConnected && known.dataset.timestamp === iso) return;
+
+    const chip = known?.isConnected ? known : document.createElement("span");
+    chip.className = this.injectedClass;
+    chip.dataset.kind = kind;
+    chip.dataset.timestamp = iso;
+    chip.dataset.placement = "after";
+    if (userId) chip.dataset.id = userId;
+    if (!read.precise) chip.dataset.precision = "day";
+
+    this._renderChip(chip);
+    if (!chip.isConnected) anchor.parentNode?.insertBefore(chip, anchor.nextSibling);
+
+    this._attached.set(anchor, chip);
+    this._trackChip(chip);
+    this._emit("attached", { chip, element: anchor, date });
+  }
+
+  /* ===========================
+   *  Day dividers
+   * =========================== */
+  /** Labels (or re-labels) every divider in the watched scrollers; clears them when off. */
+  _scanDividers() {
+    if (this.settings.dayDividers === "off" || this._effectiveSettings().enabled === false) return this._clearDividers();
+    const now = new Date();
+    for (const scroller of this._scrollers) {
+      scroller.querySelectorAll(this.dividerSelector).forEach(d => this._annotateDivider(d, now));
+    }
+  }
+
+  _annotateDivider(divider, now = new Date()) {
+    try {
+      const style = this.settings.dayDividers;
+      if (style === "off" || this._effectiveSettings().enabled === false) return;
+
+      const day = this._dividerDay(divider);
+      if (!day) return;
+
+      const host = divider.querySelector('[class*="content"]') ?? divider;
+      let label = host.querySelector(`.${this.dividerClass}`);
+      if (!label) {
+        label = document.createElement("span");
+        label.className = this.dividerClass;
+        label.setAttribute("aria-hidden", "true"); // the divider's own aria-label already names the date
+        host.appendChild(label);
+      }
+      label.dataset.day = day.toISOString();
+      const text = ` · ${this._dividerLabel(day, now, style)}`;
+      if (label.textContent !== text) label.textContent = text;
+    } catch (e) {
+      this.warn("Labelling day divider failed:", e);
+    }
+  }
+
+  /**
+   * Local midnight of the day a divider opens, from the first message after
+   * it. Discord also uses a separator for the unread line, so one whose
+   * neighbours share a day is not a day divider. Falls back to parsing the
+   * divider's own text, which only works for languages Date understands.
+   */
+  _dividerDay(divider) {
+    const neighbour = direction => {
+      let el = divider;
+      for (let i = 0; i < 5 && el; i++) {
+        el = el[direction];
+        if (el?.matches(this.dividerSelector)) return null;
+        if (el?.matches('[id^="chat-messages-"]')) return this._snowflakeToDate(el.id.split("-").pop());
+      }
+      return null;
+    };
+    const startOfDay = d => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+
+    const next = neighbour("nextElementSibling");
+    if (next) {
+      const prev = neighbour("previousElementSibling");
+      if (prev && startOfDay(prev).getTime() === startOfDay(next).getTime()) return null;
+      return startOfDay(next);
+    }
+
+    const text = divider.getAttribute("aria-label") ?? divider.textContent;
+    const parsed = new Date(text.trim());
+    return Number.isNaN(parsed.getTime()) ? null : startOfDay(parsed);
+  }
+
+  /**
+   * "today", "yesterday", "7 days ago", "3 months ago"… In calendar style the
+   * past week reads "last Tuesday" and older days go by weeks, months, years.
+   */
+  _dividerLabel(day, now, style) {
+    const locale = this._getLocale();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    // Rounded: a day across a DST switch is 23 or 25 hours long
+    const days = Math.round((today - day) / UNIT_MS.day);
+    const months = (today.getFullYear() - day.getFullYear()) * 12 + today.getMonth() - day.getMonth() -
+      (today.getDate() < day.getDate() ? 1 : 0);
+    const rtf = this._intl(Intl.RelativeTimeFormat, locale, { numeric: "auto" });
+
+    let text;
+    if (style === "calendar") {
+      if (days >= 2 && days < 7) {
+        text = this.t("dividerLastWeekday", this._intl(Intl.DateTimeFormat, locale, { weekday: "long" }).format(day));
+      } else if (days < 7) text = rtf.format(-days, "day");
+      else if (months < 1) text = rtf.format(-Math.floor(days / 7), "week");
+      else if (months < 12) text = rtf.format(-months, "month");
+      else text = rtf.format(-Math.floor(months / 12), "year");
+      text = text.charAt(0).toLocaleUpperCase(locale) + text.slice(1);
+    } else {
+      // Numbers from here on: "1 month ago" rather than "last month"
+      const numeric = this._intl(Intl.RelativeTimeFormat, locale, { numeric: "always" });
+      if (days < 30) text = rtf.format(-days, "day");
+      else if (months < 12) text = numeric.format(-Math.max(1, months), "month");
+      else text = numeric.format(-Math.floor(months / 12), "year");
+    }
+    return text;
+  }
+
+  /** Labels only change when the date does, so wake up once, just after local midnight. */
+  _armDividerTimer() {
+    clearTimeout(this._dividerTimer);
+    this._dividerTimer = null;
+    if (this.settings.dayDividers === "off" || !this.observer) return;
+
+    const now = new Date();
+    const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    this._dividerTimer = setTimeout(() => {
+      this._scanDividers();
+      this._armDividerTimer();
+    }, midnight - now + 1000);
+  }
+
+  _clearDividers() {
+    document.querySelectorAll(`.${this.dividerClass}`).forEach(el => el.remove());
+  }
+
+  /* ===========================
+   *  Message gaps
+   * =========================== */
+  /** One gap pass per frame, however many mutations arrive. */
+  /** Recomputes the gaps in `scrollers` on the next frame, together with any already queued. */
+  _requestGapUpdate(scrollers) {
+    if (!this.settings.showGaps) return;
+    for (const scroller of scrollers) this._gapScrollers.add(scroller);
+    if (this._gapFrame) return;
+    this._gapFrame = requestAnimationFrame(() => {
+      this._gapFrame = null;
+      const queued = [...this._gapScrollers];
+      this._gapScrollers.clear();
+      this._updateGaps(queued.filter(s => s.isConnected));
+    });
+  }
+
+  /**
+   * Marks messages that follow the previous message in the same list by more
+   * than the threshold, within `scrollers` (all watched ones by default).
+   * Times come from the message ID rather than the header <time>, so grouped
+   * follow-ups without a visible header count too, and each list is
+   * recomputed whole so prepending older history stays correct.
+   */
+  _updateGaps(scrollers = this._scrollers) {
+    if (!this.settings.showGaps) return this._clearGaps();
+
+    try {
+      const threshold = this.settings.gapThreshold * 1000;
+      const previous = new Map(); // list element → date of the last message seen in it
+
+      for (const scroller of scrollers) {
+        for (const li of scroller.querySelectorAll('li[id^="chat-messages-"]')) {
+          const messageId = li.id.split("-").pop();
+          const date = this._snowflakeToDate(messageId);
+          if (!date) continue;
+
+          const list = li.parentElement;
+          const prev = previous.get(list);
+          previous.set(list, date);
+
+          const gap = prev ? date - prev : 0;
+          if (gap >= threshold) {
+            const label = this.t("gapAfter", this._formatDuration(gap, { unitDisplay: "narrow" }));
+            if (li.getAttribute(this.gapAttr) !== label) li.setAttribute(this.gapAttr, label);
+          } else if (li.hasAttribute(this.gapAttr)) {
+            li.removeAttribute(this.gapAttr);
+          }
+        }
+      }
+    } catch (e) {
+      this.warn("Gap update failed:", e);
+    }
+  }
+
+  _clearGaps() {
+    document.querySelectorAll(`[${this.gapAttr}]`).forEach(li => li.removeAttribute(this.gapAttr));
+  }
+
+  /* ===========================
+   *  Refresh scheduler
+   * =========================== */
+  /**
+   * Replaces a fixed 1s interval: every visible chip is woken exactly when its
+   * text changes, off-screen chips are left alone until they scroll into view,
+   * and nothing runs while the window is hidden.
+   */
+  startScheduler() {
+    this.stopScheduler();
+    this._due = new Map();
+
+    this._onVisibilityChange = () => {
+      if (document.visibilityState === "hidden") {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+        this.log("Scheduler paused (window hidden).");
+      } else {
+        this._catchUp();
+      }
+    };
+    document.addEventListener("visibilitychange", this._onVisibilityChange);
+
+    if (typeof IntersectionObserver === "function") {
+      this.intersection = new IntersectionObserver(entries => {
+        try {
+          const now = new Date();
+          for (const entry of entries) {
+            const chip = entry.target;
+            if (!chip.isConnected) this._untrackChip(chip);
+            else if (entry.isIntersecting) this._scheduleChip(chip, now);
+            else this._due?.delete(chip);
+          }
+          this._requestArm();
+        } catch (e) {
+          this.warn("IntersectionObserver callback error:", e);
+        }
+      }, { rootMargin: "200px 0px" });
+    }
+
+    document.querySelectorAll(`.${this.injectedClass}:not([data-sample])`).forEach(c => this._trackChip(c));
+    this._requestArm();
+    this.log("Scheduler started.");
+  }
+
+  stopScheduler() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.intersection) this.intersection.disconnect();
+    this.intersection = null;
+
+    if (this._onVisibilityChange) document.removeEventListener("visibilitychange", this._onVisibilityChange);
+    this._onVisibilityChange = null;
+
+    this._due = null;
+  }
+
+  _trackChip(chip) {
+    if (!this._due) return; // scheduler off (liveUpdate disabled)
+    if (this.intersection) {
+      // The observer reports the initial visibility on its own
+      this.intersection.observe(chip);
+    } else {
+      this._scheduleChip(chip);
+      this._requestArm();
+    }
+  }
+
+  _untrackChip(chip) {
+    this._due?.delete(chip);
+    this.intersection?.unobserve(chip);
+  }
+
+  _scheduleChip(chip, now = new Date()) {
+    const delay = this._renderChip(chip, now);
+    if (delay === null) this._untrackChip(chip);
+    else this._due?.set(chip, now.getTime() + delay);
+  }
+
+  /** Coalesces many schedule changes into a single timer re-arm. */
+  _requestArm() {
+    if (this._armPending) return;
+    this._armPending = true;
+    queueMicrotask(() => {
+      this._armPending = false;
+      this._armTimer();
+    });
+  }
+
+  _armTimer() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    if (!this._due?.size || document.visibilityState === "hidden") return;
+
+    let next = Infinity;
+    for (const at of this._due.values()) if (at < next) next = at;
+    if (next === Infinity) return;
+
+    // A hybrid switch-over can be months away; waking early just re-arms
+    this.timer = setTimeout(() => this._tick(), Math.min(Math.max(0, next - Date.now()), MAX_TIMER_MS));
+  }
+
+  _tick() {
+    this.timer = null;
+    try {
+      const now = new Date();
+      // Small slack so chips due within the same frame are updated together
+      const horizon = now.getTime() + 25;
+      for (const [chip, at] of this._due ?? []) {
+        if (!chip.isConnected) this._untrackChip(chip);
+        else if (at <= horizon) this._scheduleChip(chip, now);
+      }
+    } catch (e) {
+      this._count("refresh");
+      this.warn("Refresh failed:", e);
+    }
+    this._armTimer();
+  }
+
+  _catchUp() {
+    try {
+      const now = new Date();
+      for (const chip of [...(this._due?.keys() ?? [])]) {
+        if (!chip.isConnected) this._untrackChip(chip);
+        else this._scheduleChip(chip, now);
+      }
+      this.log("Scheduler resumed; caught up", this._due?.size ?? 0, "chips.");
+    } catch (e) {
+      this._count("refresh");
+      this.warn("Catch-up failed:", e);
+    }
+    this._armTimer();
+  }
+
+  /**
+   * How long until the text for `date` changes, given the smallest unit it shows.
+   * Second/minute/hour text flips on fixed multiples of elapsed time; day and
+   * larger units flip when the wall clock next reaches the message's time of day.
+   * This holds for future dates too, which count down to zero and then up.
+   */
+  _nextChangeDelay(date, now, unit) {
+    if (!unit) return Infinity; // absolute text never changes by itself
+    const sizes = { second: 1000, minute: 60000, hour: 3600000 };
+    if (sizes[unit]) {
+      const size = sizes[unit];
+      // Counting up, the next flip is at the next multiple; counting down it is
+      // just past the current one ("in 2m" turns into "in 1m" below 2:00).
+      if (date > now) return ((date - now) % size) + 1;
+      return size - ((now - date) % size);
+    }
+
+    const next = new Date(now.getFullYear(), now.getMonth(), now.getDate(),
+      date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+    if (next <= now) next.setDate(next.getDate() + 1);
+    return next - now;
+  }
+
+  /* ===========================
+   *  Calendar math
+   * =========================== */
+  _daysInMonth(year, month) {
+    return new Date(year, month + 1, 0).getDate();
+  }
+
+  /**
+   * Adds whole months and days to a date in local time, keeping the wall-clock
+   * time. The day of month is clamped, so Jan 31 + 1 month is Feb 28/29.
+   */
+  _addCalendar(date, months, days = 0) {
+    const r = new Date(date.getTime());
+    const dayOfMonth = r.getDate();
+    r.setDate(1);
+    r.setMonth(r.getMonth() + months);
+    r.setDate(Math.min(dayOfMonth, this._daysInMonth(r.getFullYear(), r.getMonth())));
+    if (days) r.setDate(r.getDate() + days);
+    return r;
+  }
+
+  /**
+   * Calendar difference between two dates in the user's timezone (order-insensitive).
+   * Years, months and days are counted on the local calendar, the rest is real
+   * elapsed time measured from the last whole day. That way "1 day" stays
+   * "1 day" across a DST switch while short spans still report true hours.
+   *
+   * Units left out of `units` are folded into the next smaller enabled unit
+   * (no months → "45 days"); anything below the smallest enabled unit is dropped.
+   */
+  _calendarDiff(from, to, units = UNITS) {
+    if (to < from) [from, to] = [to, from];
+    const on = u => units.includes(u);
+    const out = Object.fromEntries(UNITS.map(u => [u, 0]));
+
+    let anchor = from;
+    if (on("year") || on("month")) {
+      let months = (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+      anchor = this._addCalendar(from, months);
+      if (anchor > to) anchor = this._addCalendar(from, --months);
+
+      if (on("year")) out.year = Math.floor(months / 12);
+      if (on("month")) out.month = on("year") ? months % 12 : months;
+      else anchor = this._addCalendar(from, out.year * 12);
+    }
+
+    if (on("day")) {
+      // Count days on date components only; DST makes some days 23 or 25 hours long
+      let days = Math.round(
+        (Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) -
+          Date.UTC(anchor.getFullYear(), anchor.getMonth(), anchor.getDate())) / 86400000
+      );
+      let dayAnchor = this._addCalendar(anchor, 0, days);
+      if (dayAnchor > to) dayAnchor = this._addCalendar(anchor, 0, --days);
+      out.day = days;
+      anchor = dayAnchor;
+    }
+
+    let rest = Math.floor((to - anchor) / 1000);
+    for (const [unit, size] of [["hour", 3600], ["minute", 60], ["second", 1]]) {
+      if (!on(unit)) continue;
+      out[unit] = Math.floor(rest / size);
+      rest %= size;
+    }
+
+    return out;
+  }
+
+  format(date, now = new Date(), settings = this.settings) {
+    return this._formatDetails(date, now, settings).text;
+  }
+
+  /**
+   * Formats `date` relative to `now`. Besides the text, returns the smallest
+   * unit it shows and the reference time it was computed against (rounding
+   * shifts it by half a unit), which together tell the scheduler when the text
+   * changes next. `until` is the time left before hybrid mode switches between
+   * relative and absolute text.
+   */
+  _formatDetails(date, now = new Date(), s = this.settings) {
+    const custom = this._getFormatter(s.formatter);
+    if (custom) {
+      try {
+        const text = custom.fn(date, now, { ...s });
+        if (typeof text === "string") return { text, unit: null, ref: now, until: custom.interval };
+        this.warn(`Formatter "${s.formatter}" returned ${typeof text}; using the built-in one.`);
+      } catch (e) {
+        this.warn(`Formatter "${s.formatter}" threw; using the built-in one:`, e);
+      }
+    }
+
+    const future = date > now;
+
+    let until = Infinity;
+    if (s.hybrid) {
+      const threshold = s.hybridThreshold * 1000;
+      const distance = Math.abs(now - date);
+      if (distance >= threshold) {
+        // Future dates count down into the relative range; past ones never come back
+        if (future) until = distance - threshold + 1;
+        return { text: this._formatAbsolute(date, s.absoluteFormat), unit: null, ref: now, until };
+      }
+      if (!future) until = threshold - distance;
+    }
+
+    const parsed = this._getTemplate(s.template, s.minUnit);
+    const minIndex = Math.max(0, UNITS.indexOf(s.minUnit));
+    const maxUnits = Math.min(UNITS.length, Math.max(1, Math.floor(s.maxUnits) || UNITS.length));
+
+    let preset;
+    if (parsed) preset = "template";
+    else preset = s.detailed ? "detailed" : "compact";
+
+    // Units the calendar math counts in: a template's own tokens, else everything down to minUnit
+    const enabled = parsed?.units ?? UNITS.slice(0, minIndex + 1);
+    let windowSize = maxUnits;
+    if (preset === "compact") windowSize = 1;
+    else if (parsed?.widest) windowSize = parsed.widest;
+
+    let ref = now;
+    let result = this._renderUnits(date, ref, enabled, windowSize, parsed);
+
+    if (s.rounding === "round") {
+      // Second pass: shift by half of the smallest unit shown, never splitting it further
+      const half = UNIT_MS[result.unit] / 2;
+      ref = new Date(now.getTime() + (future ? -half : half));
+      const coarse = enabled.slice(0, enabled.indexOf(result.unit) + 1);
+      result = this._renderUnits(date, ref, coarse, windowSize, parsed);
+    }
+
+    const locale = this._getLocale();
+    let text;
+    if (preset === "template") {
+      text = this._fillTemplate(parsed, future, result, locale, s.separator);
+    } else if (preset === "detailed") {
+      text = this._joinRelative(result.shown, future, locale, s.separator);
+    } else {
+      const [unit, value] = result.shown[0];
+      // "narrow" drops the words in some locales (French and Russian give "-5 min", "+3 h")
+      text = this._intl(Intl.RelativeTimeFormat, locale, { numeric: "always", style: "short" }).format(future ? value : -value, unit);
+    }
+
+    return { text, unit: result.unit, ref, until };
+  }
+
+  /**
+   * Picks the units to display: a window of `windowSize` consecutive units
+   * starting at the largest non-zero one, with zero values dropped.
+   */
+  _renderUnits(date, ref, enabled, windowSize, parsed) {
+    const values = this._calendarDiff(date, ref, enabled);
+    if (parsed?.mode === "units") {
+      return { values, shown: [], unit: enabled[enabled.length - 1] };
+    }
+
+    let start = enabled.findIndex(u => values[u]);
+    if (start < 0) start = enabled.length - 1;
+    const window = enabled.slice(start, start + windowSize);
+    const shown = window.filter(u => values[u]).map(u => [u, values[u]]);
+    const unit = window[window.length - 1];
+    if (!shown.length) shown.push([unit, 0]);
+
+    return { values, shown, unit };
+  }
+
+  /**
+   * Plain duration such as "7 days" or "2 hours 10 minutes" (no ago/in). A bare
+   * length has no calendar position, so it is counted in days at most.
+   */
+  _formatDuration(ms, { maxUnits = 2, unitDisplay = "long", units = UNITS.slice(2) } = {}) {
+    const values = {};
+    let rest = Math.floor(Math.abs(ms) / 1000);
+    for (const unit of units) {
+      const size = UNIT_MS[unit] / 1000;
+      values[unit] = Math.floor(rest / size);
+      rest -= values[unit] * size;
+    }
+    let start = units.findIndex(u => values[u]);
+    if (start < 0) start = units.length - 1;
+    const shown = units.slice(start, start + maxUnits).filter(u => values[u]).map(u => [u, values[u]]);
+    if (!shown.length) shown.push(["second", 0]);
+    return this._joinUnits(shown, this._getLocale(), unitDisplay);
+  }
+
+  /**
+   * "2 years, 3 days ago" in the language's own grammar. Every unit goes
+   * through Intl.RelativeTimeFormat (so German gets "vor 1 Monat, 10 Tagen");
+   * the number-and-unit cores are then joined between the leading unit's
+   * prefix ("vor ", "il y a ") and its suffix (" ago", "前").
+   */
+  _joinRelative(shown, future, locale, separator = this.settings.separator) {
+    const rtf = this._intl(Intl.RelativeTimeFormat, locale, { numeric: "always" });
+    const suffix = this._relativeSuffix(locale, future);
+
+    let prefix = "";
+    const cores = shown.map(([unit, value], i) => {
+      const parts = rtf.formatToParts(future ? value : -value, unit);
+      const first = parts.findIndex(p => p.type !== "literal");
+      if (i === 0) prefix = parts.slice(0, first).map(p => p.value).join("");
+      const core = parts.slice(first).map(p => p.value).join("");
+      return core.endsWith(suffix) ? core.slice(0, core.length - suffix.length) : core;
+    });
+
+    const joined = separator ? cores.join(separator)
+      : this._intl(Intl.ListFormat, locale, { type: "unit", style: "narrow" }).format(cores);
+    return prefix + joined + suffix;
+  }
+
+  /**
+   * The text a relative time ends with after its unit: " ago", "前", or ""
+   * for "in 2 days". Found as what two different units have in common. Unless
+   * it is CJK, it must be whole words, so the shared "en" of "Jahren" and
+   * "Sekunden" doesn't count.
+   */
+  _relativeSuffix(locale, future) {
+    const key = `suffix|${locale}|${future}`;
+    let suffix = this._intlCache.get(key);
+    if (suffix !== undefined) return suffix;
+
+    const rtf = this._intl(Intl.RelativeTimeFormat, locale, { numeric: "always" });
+    const tail = unit => {
+      const parts = rtf.formatToParts(future ? 2 : -2, unit);
+      return parts.slice(parts.findIndex(p => p.type !== "literal") + 1).map(p => p.value).join("");
+    };
+    const a = tail("year");
+    const b = tail("second");
+    let n = 0;
+    while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+    suffix = a.slice(a.length - n);
+    if (!/^(\s|[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}])/u.test(suffix)) {
+      const space = suffix.search(/\s/);
+      suffix = space < 0 ? "" : suffix.slice(space);
+    }
+
+    this._intlCache.set(key, suffix);
+    return suffix;
+  }
+
+  _joinUnits(shown, locale, unitDisplay = "long", separator = this.settings.separator) {
+    const parts = shown.map(([unit, value]) =>
+      this._intl(Intl.NumberFormat, locale, { style: "unit", unit, unitDisplay }).format(value));
+    if (separator) return parts.join(separator);
+    return this._intl(Intl.ListFormat, locale, { type: "unit", style: "narrow" }).format(parts);
+  }
+
+  /* ===========================
+   *  Absolute dates (hybrid mode)
+   * =========================== */
+  /**
+   * Formats `date` with a pattern such as "YYYY-MM-DD HH:mm" or "ddd D MMM, h:mm A".
+   * Text inside [brackets] is copied literally. Names come from Intl, so they
+   * follow the chosen language.
+   */
+  _formatAbsolute(date, pattern = this.settings.absoluteFormat) {
+    const locale = this._getLocale();
+    if (!pattern) {
+      return this._intl(Intl.DateTimeFormat, locale, { dateStyle: "medium", timeStyle: "short" }).format(date);
+    }
+
+    const pad = n => String(n).padStart(2, "0");
+    const name = options => this._intl(Intl.DateTimeFormat, locale, options).format(date);
+    const h12 = date.getHours() % 12 || 12;
+    const tokens = {
+      YYYY: () => String(date.getFullYear()),
+      YY: () => pad(date.getFullYear() % 100),
+      MMMM: () => name({ month: "long" }),
+      MMM: () => name({ month: "short" }),
+      MM: () => pad(date.getMonth() + 1),
+      M: () => String(date.getMonth() + 1),
+      DD: () => pad(date.getDate()),
+      D: () => String(date.getDate()),
+      dddd: () => name({ weekday: "long" }),
+      ddd: () => name({ weekday: "short" }),
+      HH: () => pad(date.getHours()),
+      H: () => String(date.getHours()),
+      hh: () => pad(h12),
+      h: () => String(h12),
+      mm: () => pad(date.getMinutes()),
+      ss: () => pad(date.getSeconds()),
+      A: () => this._intl(Intl.DateTimeFormat, locale, { hour: "numeric", hour12: true })
+        .formatToParts(date).find(p => p.type === "dayPeriod")?.value ?? (date.getHours() < 12 ? "AM" : "PM")
+    };
+
+    return pattern.replace(ABSOLUTE_TOKEN_RE, (m, literal) => (literal !== undefined ? literal : tokens[m]()));
+  }
+
+  _validateAbsoluteFormat(pattern) {
+    if (!pattern) return null;
+    const unbracketed = pattern.replace(/\[[^\]]*\]/g, "");
+    if (/[[\]]/.test(unbracketed)) return this.t("absErrBracket");
+    if (!unbracketed.match(ABSOLUTE_TOKEN_RE)) return this.t("absErrNoToken");
+    return null;
+  }
+
+  /* ===========================
+   *  Format templates
+   * =========================== */
+  /**
+   * Parses a template such as "{d}d {h}h ago" or "{largest:2} ago|in {largest:2}".
+   * Returns null for an empty template and { error } when it is invalid.
+   */
+  _parseTemplate(template, minUnit = this.settings.minUnit) {
+    if (typeof template !== "string" || !template.trim()) return null;
+
+    const halves = template.split("|");
+    if (halves.length > 2) return { error: this.t("tplErrPipe") };
+
+    const minIndex = Math.max(0, UNITS.indexOf(minUnit));
+    const units = new Set();
+    let largest = false;
+    let widest = 0; // widest {largest:N}; 0 when a bare {largest} defers to maxUnits
+    let bare = false;
+
+    const parseHalf = half => {
+      const segments = [];
+      const re = /\{([^{}]*)\}|[{}]|[^{}]+/g;
+      let m;
+      while ((m = re.exec(half))) {
+        if (m[0] === "{" || m[0] === "}") throw new Error(this.t("tplErrBrace"));
+        if (m[1] === undefined) {
+          segments.push({ text: m[0] });
+          continue;
+        }
+
+        const [name, arg] = m[1].split(":");
+        if (name === "largest") {
+          const n = arg === undefined ? null : Number(arg);
+          if (n !== null && !(Number.isInteger(n) && n >= 1 && n <= UNITS.length)) throw new Error(this.t("tplErrLargest"));
+          largest = true;
+          if (n === null) bare = true;
+          else widest = Math.max(widest, n);
+          segments.push({ largest: n });
+        } else if (TEMPLATE_TOKENS[name] && arg === undefined) {
+          const unit = TEMPLATE_TOKENS[name];
+          if (UNITS.indexOf(unit) > minIndex) throw new Error(this.t("tplErrMinUnit", m[0]));
+          units.add(unit);
+          segments.push({ unit });
+        } else {
+          throw new Error(this.t("tplErrToken", m[0]));
+        }
+      }
+      return segments;
+    };
+
+    try {
+      const past = parseHalf(halves[0]);
+      const future = halves.length === 2 ? parseHalf(halves[1]) : past;
+
+      if (!largest && !units.size) return { error: this.t("tplErrNoToken") };
+      if (largest && units.size) return { error: this.t("tplErrMix") };
+
+      return {
+        past,
+        future,
+        mode: largest ? "largest" : "units",
+        widest: bare ? 0 : widest,
+        // Keep calendar order so folding works from large to small
+        units: largest ? UNITS.slice(0, minIndex + 1) : UNITS.filter(u => units.has(u))
+      };
+    } catch (e) {
+      return { error: e.message };
+    }
+  }
+
+  /** Cached parse for the render path; invalid templates fall back to the presets. */
+  _getTemplate(template, minUnit) {
+    const key = `${template}|${minUnit}|${this._getLocale()}`;
+    if (this._templateCache?.key !== key) {
+      const parsed = this._parseTemplate(template, minUnit);
+      if (parsed?.error) this.warn("Ignoring invalid format template:", parsed.error);
+      this._templateCache = { key, parsed: parsed?.error ? null : parsed };
+    }
+    return this._templateCache.parsed;
+  }
+
+  _fillTemplate(parsed, future, result, locale, separator) {
+    const segments = future ? parsed.future : parsed.past;
+    return segments.map(seg => {
+      if (seg.text !== undefined) return seg.text;
+      if (seg.unit) return this._intl(Intl.NumberFormat, locale, { useGrouping: false }).format(result.values[seg.unit]);
+      // A {largest:N} narrower than the widest one just shows fewer of the same units
+      const shown = seg.largest ? result.shown.slice(0, seg.largest) : result.shown;
+      return this._joinUnits(shown, locale, "long", separator);
+    }).join("");
+  }
+
+  /* ===========================
+   *  Settings panel
+   * =========================== */
+  _setSetting(key, value) {
+    try {
+      this.settings[key] = value;
+      this._saveSettings();
+
+      // Apply live effects immediately
+      if (key === "liveUpdate") this._syncScheduler();
+
+      if (FORMAT_KEYS.includes(key)) {
+        // Update existing chips immediately
         this.refreshAll();
+      }
 
-        if (this.timer) clearInterval(this.timer);
-        this.timer = null;
-        if (this.settings.liveUpdate) this.startTimer();
+      if (key === "showGaps" || key === "gapThreshold" || key === "locale") this._updateGaps();
+
+      if ((key === "dayDividers" || key === "locale") && this.observer) {
+        this._scanDividers();
+        this._armDividerTimer();
+      }
+
+      if (key === "composerHelper") {
+        if (value) this._ensureComposerButton();
+        else this._removeComposerButtons();
+      }
+
+      if (["surfaces", "overrides", "placement", "linkChips", "profileChips"].includes(key)) {
+        // Chips may need to appear or disappear; a fresh scan is simplest and cheap
+        this._removeChips();
+        if (this.observer) this.processAll(); // only while running
+        this._syncScheduler();
+      }
+
+      this._emit("settingsChanged", { key, value, settings: { ...this.settings } });
+      this._refreshPanelViews();
+      this.log(`Setting changed: ${key} =`, value);
+    } catch (e) {
+      this.error("Setting change failed:", e);
+    }
+  }
+
+  /** Redraws the previews of open settings panels; closed ones drop out. */
+  _refreshPanelViews() {
+    for (const view of this._panelViews) {
+      if (!view.el.isConnected) {
+        this._panelViews.delete(view);
+        continue;
+      }
+      try {
+        view.render();
+      } catch (e) {
+        this.warn("Refreshing a settings preview failed:", e);
+      }
+    }
+  }
+
+  getSettingsPanel() {
+    const panel = document.createElement("div");
+    panel.className = "rel-settings-root";
+
+    const header = document.createElement("div");
+    header.className = "rel-settings-header";
+    header.textContent = this.t("settingsHeader");
+    panel.appendChild(header);
+
+    // Unique per panel, so a second open panel doesn't clash
+    const idPrefix = `rel-${Math.random().toString(36).slice(2, 8)}`;
+    let idCount = 0;
+    const nextId = () => `${idPrefix}-${++idCount}`;
+
+    const mkRow = (title, note, ...controls) => {
+      const row = document.createElement("div");
+      row.className = "bd-setting-item";
+
+      const textWrap = document.createElement("div");
+      textWrap.className = "rel-setting-texts";
+
+      const titleEl = document.createElement("div");
+      titleEl.className = "rel-setting-title";
+      titleEl.id = nextId();
+      titleEl.textContent = title;
+
+      const noteEl = document.createElement("div");
+      noteEl.className = "rel-setting-note";
+      noteEl.id = nextId();
+      noteEl.textContent = note;
+
+      // Controls without a name of their own are named by the title; all are described by the note
+      const focusable = "button, input, select, textarea";
+      for (const control of controls) {
+        const targets = control.matches(focusable) ? [control] : control.querySelectorAll(`:scope > :is(${focusable})`);
+        for (const el of targets) {
+          const named = el.hasAttribute("aria-label") || el.hasAttribute("aria-labelledby") ||
+            (el.tagName === "BUTTON" && !!el.textContent.trim());
+          if (!named) el.setAttribute("aria-labelledby", titleEl.id);
+          if (note && !el.hasAttribute("aria-describedby")) {
+            const repeatsTitle = !named || el.getAttribute("aria-label") === title;
+            el.setAttribute("aria-describedby", repeatsTitle ? noteEl.id : `${titleEl.id} ${noteEl.id}`);
+          }
+        }
+      }
+
+      textWrap.append(titleEl, noteEl);
+      row.append(textWrap, ...controls);
+      return row;
+    };
+
+    // A labelled control inside the list/form blocks below
+    const mkField = (label, control) => {
+      const field = document.createElement("label");
+      field.className = "rel-field";
+      const text = document.createElement("span");
+      text.className = "rel-setting-note";
+      text.textContent = label;
+      field.append(text, control);
+      return field;
+    };
+
+    // `options` are [value, label] pairs; `value` and `onChange` may be left out
+    const mkSelect = (options, value, onChange) => {
+      const select = document.createElement("select");
+      select.className = "rel-select";
+      for (const [v, label] of options) {
+        const opt = document.createElement("option");
+        opt.value = v;
+        opt.textContent = label;
+        select.appendChild(opt);
+      }
+      if (value !== undefined) select.value = String(value);
+      if (onChange) select.addEventListener("change", () => onChange(select.value));
+      return select;
+    };
+
+    const mkSwitch = (checked, label, onChange) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "rel-toggle";
+      button.setAttribute("role", "switch");
+      button.setAttribute("aria-checked", String(!!checked));
+      if (label) button.setAttribute("aria-label", label);
+
+      const knob = document.createElement("span");
+      knob.className = "rel-toggle-knob";
+      knob.setAttribute("aria-hidden", "true");
+      button.appendChild(knob);
+
+      button.addEventListener("click", () => {
+        const next = button.getAttribute("aria-checked") !== "true";
+        button.setAttribute("aria-checked", String(next));
+        onChange(next);
+      });
+      return button;
+    };
+
+    const mkSwitchRow = (title, note, key) =>
+      mkRow(title, note, mkSwitch(this.settings[key], null, value => this._setSetting(key, value)));
+
+    const mkSelectRow = (title, note, key, options, onChanged) => {
+      const select = mkSelect(options, this.settings[key] ?? "", v => {
+        // Keep numeric settings numeric; <select> only deals in strings
+        this._setSetting(key, typeof this.settings[key] === "number" ? Number(v) : v);
+        onChanged?.();
+      });
+      select.setAttribute("aria-label", title);
+      return mkRow(title, note, select);
+    };
+
+    // Text/number input. `parse` returns { value } to save or { error } to show inline.
+    const mkInputRow = (title, note, key, { type = "text", placeholder = "", parse = v => ({ value: v }) } = {}) => {
+      const input = document.createElement("input");
+      input.type = type;
+      input.className = "rel-input";
+      input.placeholder = placeholder;
+      input.value = String(this.settings[key] ?? "");
+      input.setAttribute("aria-label", title);
+
+      const row = mkRow(title, note, input);
+      const errorEl = document.createElement("div");
+      errorEl.className = "rel-setting-error";
+      errorEl.id = nextId();
+      errorEl.setAttribute("role", "alert");
+      input.setAttribute("aria-describedby", [input.getAttribute("aria-describedby"), errorEl.id].filter(Boolean).join(" "));
+      row.querySelector(".rel-setting-texts").appendChild(errorEl);
+
+      const check = () => {
+        const result = parse(input.value);
+        errorEl.textContent = result.error ?? "";
+        input.classList.toggle("invalid", !!result.error);
+        return result;
+      };
+
+      input.addEventListener("input", () => {
+        const result = check();
+        if (!result.error && result.value !== this.settings[key]) this._setSetting(key, result.value);
+      });
+      input.addEventListener("change", () => {
+        // Normalize what was typed (e.g. clamped numbers) once editing is done
+        const result = check();
+        if (!result.error) input.value = String(result.value);
+      });
+
+      check();
+      return row;
+    };
+
+    // One row per surface: on/off switch plus its own format
+    const mkSurfaceRow = id => {
+      const current = () => this.settings.surfaces[id];
+      const update = patch => this._setSetting("surfaces", { ...this.settings.surfaces, [id]: { ...current(), ...patch } });
+
+      const select = document.createElement("select");
+      select.className = "rel-select";
+      select.setAttribute("aria-label", this.t("surfaceFormatLabel", this.t(`surface_${id}`)));
+      for (const fmt of Object.keys(SURFACE_FORMATS)) {
+        const opt = document.createElement("option");
+        opt.value = fmt;
+        opt.textContent = this.t(`surfaceFormat_${fmt}`);
+        select.appendChild(opt);
+      }
+      select.value = current().format;
+      select.disabled = !current().enabled;
+      select.addEventListener("change", () => update({ format: select.value }));
+
+      const controlWrap = document.createElement("div");
+      controlWrap.className = "rel-switch";
+      const toggle = mkSwitch(current().enabled, this.t(`surface_${id}`), enabled => {
+        select.disabled = !enabled;
+        update({ enabled });
+      });
+      controlWrap.append(select, toggle);
+
+      return mkRow(this.t(`surface_${id}`), this.t(`surfaceNote_${id}`), controlWrap);
+    };
+
+    // Server/channel overrides: a list with remove buttons plus an "add" form
+    const mkOverrides = () => {
+      const wrap = document.createElement("div");
+      wrap.className = "rel-block";
+
+      const keyLabel = key => (key === "enabled" ? this.t("overrideEnabled") : this.t(`${key}Title`));
+      const list = document.createElement("div");
+      list.className = "rel-list";
+
+      const renderList = () => {
+        list.replaceChildren();
+        if (!this.settings.overrides.length) {
+          const empty = document.createElement("div");
+          empty.className = "rel-setting-note";
+          empty.textContent = this.t("overridesEmpty");
+          list.appendChild(empty);
+          return;
+        }
 
-        this.toast("RelativeTimestamps: settings reset", "success", 2500);
+        this.settings.overrides.forEach((o, index) => {
+          const summary = Object.entries(o.settings)
+            .map(([k, v]) => `${keyLabel(k)}: ${this.t(v ? "stateOn" : "stateOff")}`)
+            .join(" · ") || this.t("overrideNoChanges");
+
+          const removeBtn = document.createElement("button");
+          removeBtn.className = "rel-btn";
+          removeBtn.textContent = this.t("removeButton");
+          removeBtn.addEventListener("click", () => {
+            this._setSetting("overrides", this.settings.overrides.filter((_, i) => i !== index));
+            renderList();
+          });
+
+          const title = `${this.t(o.scope === "guild" ? "scopeGuild" : "scopeChannel")}: ${o.label || o.id}`;
+          list.appendChild(mkRow(title, `${o.id} — ${summary}`, removeBtn));
+        });
+      };
+
+      // --- Add form ---
+      const form = document.createElement("div");
+      form.className = "rel-form";
+
+      const scopeSelect = mkSelect([["guild", this.t("scopeGuild")], ["channel", this.t("scopeChannel")]]);
+      const idInput = document.createElement("input");
+      idInput.className = "rel-input";
+      const labelInput = document.createElement("input");
+      labelInput.className = "rel-input";
+      labelInput.placeholder = this.t("overrideLabelPlaceholder");
+
+      // Default to wherever the user currently is
+      const fillCurrent = () => {
+        const route = this._getRoute();
+        idInput.value = (scopeSelect.value === "guild" ? route.guildId : route.channelId) ?? "";
+      };
+      scopeSelect.addEventListener("change", fillCurrent);
+      fillCurrent();
+
+      const stateSelects = OVERRIDE_KEYS.map(key => {
+        const select = mkSelect([["", this.t("stateInherit")], ["true", this.t("stateOn")], ["false", this.t("stateOff")]]);
+        return [key, select];
+      });
+
+      const formError = document.createElement("div");
+      formError.className = "rel-setting-error";
+      formError.setAttribute("role", "alert");
+
+      const addBtn = document.createElement("button");
+      addBtn.className = "rel-btn brand";
+      addBtn.textContent = this.t("addOverrideButton");
+      addBtn.addEventListener("click", () => {
+        const id = idInput.value.trim();
+        if (!/^\d{15,25}$/.test(id)) {
+          formError.textContent = this.t("overrideErrId");
+          return;
+        }
+
+        const settings = {};
+        for (const [key, select] of stateSelects) {
+          if (select.value) settings[key] = select.value === "true";
+        }
+
+        // One override per scope+id: adding again replaces the old one
+        const entry = { scope: scopeSelect.value, id, label: labelInput.value.trim().slice(0, 100), settings };
+        const rest = this.settings.overrides.filter(o => !(o.scope === entry.scope && o.id === id));
+        this._setSetting("overrides", [...rest, entry]);
+
+        formError.textContent = "";
+        labelInput.value = "";
+        stateSelects.forEach(([, select]) => { select.value = ""; });
+        renderList();
+      });
+
+      form.append(
+        mkField(this.t("overrideScope"), scopeSelect),
+        mkField(this.t("overrideId"), idInput),
+        mkField(this.t("overrideLabel"), labelInput),
+        ...stateSelects.map(([key, select]) => mkField(keyLabel(key), select))
+      );
+
+      const formActions = document.createElement("div");
+      formActions.className = "rel-row-end";
+      formActions.appendChild(addBtn);
+
+      renderList();
+      wrap.append(list, form, formError, formActions);
+      return wrap;
+    };
+
+    // Tooltip time zones: list with remove buttons plus label/zone inputs
+    const mkZones = () => {
+      const wrap = document.createElement("div");
+      wrap.className = "rel-block";
+
+      const list = document.createElement("div");
+      list.className = "rel-list";
+
+      const renderList = () => {
+        list.replaceChildren();
+        this.settings.tooltipZones.forEach(({ label, zone }, index) => {
+          const removeBtn = document.createElement("button");
+          removeBtn.className = "rel-btn";
+          removeBtn.textContent = this.t("removeButton");
+          removeBtn.addEventListener("click", () => {
+            this._setSetting("tooltipZones", this.settings.tooltipZones.filter((_, i) => i !== index));
+            renderList();
+          });
+          list.appendChild(mkRow(label, zone, removeBtn));
+        });
+      };
+
+      const form = document.createElement("div");
+      form.className = "rel-form";
+
+      const labelInput = document.createElement("input");
+      labelInput.className = "rel-input";
+      labelInput.placeholder = "Berlin";
+      labelInput.setAttribute("aria-label", this.t("zoneLabel"));
+
+      const zoneInput = document.createElement("input");
+      zoneInput.className = "rel-input";
+      zoneInput.placeholder = "Europe/Berlin";
+      zoneInput.setAttribute("aria-label", this.t("zoneName"));
+
+      // Suggest every zone the runtime knows, where supported
+      if (typeof Intl.supportedValuesOf === "function") {
+        const datalist = document.createElement("datalist");
+        datalist.id = "rel-zone-suggestions";
+        for (const zone of Intl.supportedValuesOf("timeZone")) {
+          const opt = document.createElement("option");
+          opt.value = zone;
+          datalist.appendChild(opt);
+        }
+        zoneInput.setAttribute("list", datalist.id);
+        form.appendChild(datalist);
+      }
+
+      const formError = document.createElement("div");
+      formError.className = "rel-setting-error";
+      formError.setAttribute("role", "alert");
+
+      zoneInput.addEventListener("input", () => {
+        const error = zoneInput.value ? this._checkTimeZone(zoneInput.value.trim()) : null;
+        formError.textContent = error ?? "";
+        zoneInput.classList.toggle("invalid", !!error);
+      });
+
+      const addBtn = document.createElement("button");
+      addBtn.className = "rel-btn brand";
+      addBtn.textContent = this.t("addZoneButton");
+      addBtn.addEventListener("click", () => {
+        const zone = zoneInput.value.trim();
+        const error = this._checkTimeZone(zone);
+        if (error) {
+          formError.textContent = error;
+          return;
+        }
+        if (this.settings.tooltipZones.length >= 20) {
+          formError.textContent = this.t("valArray", "tooltipZones", 20);
+          return;
+        }
+
+        // Default the label to the city part of the zone ("America/Los_Angeles" → "Los Angeles")
+        const label = labelInput.value.trim().slice(0, 40) || zone.split("/").pop().replace(/_/g, " ");
+        this._setSetting("tooltipZones", [...this.settings.tooltipZones, { label, zone }]);
+
+        formError.textContent = "";
+        labelInput.value = "";
+        zoneInput.value = "";
+        renderList();
+      });
+
+      form.append(mkField(this.t("zoneLabel"), labelInput), mkField(this.t("zoneName"), zoneInput));
+
+      const formActions = document.createElement("div");
+      formActions.className = "rel-row-end";
+      formActions.appendChild(addBtn);
+
+      renderList();
+      wrap.append(list, form, formError, formActions);
+      return wrap;
+    };
+
+    // Age tiers: live preview plus one editable card per tier
+    const mkAgeTiers = () => {
+      const wrap = document.createElement("div");
+      wrap.className = "rel-block";
+
+      const preview = document.createElement("div");
+      preview.className = "rel-tier-preview";
+      preview.setAttribute("aria-hidden", "true");
+      const editor = document.createElement("div");
+      editor.className = "rel-list";
+
+      const renderPreview = (ageTiers = this.settings.ageTiers) => {
+        const now = new Date();
+        preview.replaceChildren(...[20, 10 * 60, 5 * 3600, 3 * 86400, 60 * 86400].map(sec => {
+          const sample = document.createElement("span");
+          sample.className = this.injectedClass;
+          sample.dataset.sample = "";
+          sample.textContent = this.format(new Date(now - sec * 1000), now);
+          // Shown even while styling is off, so tiers can be tuned before enabling it
+          this._applyAgeTier(sample, sec * 1000, { ...this.settings, ageTiers, ageStyling: true });
+          return sample;
+        }));
+      };
+
+      // Dragging a colour or opacity only previews; the tier is saved once the control lets go
+      const update = (index, patch, save = true) => {
+        const tiers = this.settings.ageTiers.map((t, i) => (i === index ? { ...t, ...patch } : t));
+        if (save) this._setSetting("ageTiers", tiers);
+        else renderPreview(tiers);
+      };
+
+      const renderEditor = () => {
+        const tiers = this.settings.ageTiers;
+        editor.replaceChildren(...tiers.map((tier, index) => {
+          const card = document.createElement("div");
+          card.className = "rel-tier";
+
+          const heading = document.createElement("div");
+          heading.className = "rel-setting-title";
+          heading.textContent = tier.maxAge === null
+            ? this.t("tierOlder")
+            : this.t("tierUnder", this._formatDuration(tier.maxAge * 1000));
+
+          const form = document.createElement("div");
+          form.className = "rel-form";
+
+          if (tier.maxAge !== null) {
+            // Only bounds between the neighbours keep the tiers in order
+            const min = tiers[index - 1]?.maxAge ?? 0;
+            const max = tiers[index + 1]?.maxAge ?? Infinity;
+            const ages = TIER_AGES.filter(a => a > min && a < max);
+            form.appendChild(mkField(this.t("tierMaxAge"), mkSelect(
+              ages.map(a => [String(a), this._formatDuration(a * 1000)]), tier.maxAge,
+              v => {
+                update(index, { maxAge: Number(v) });
+                renderEditor();
+              })));
+          }
+
+          const colorWrap = document.createElement("div");
+          colorWrap.className = "rel-tier-color";
+          const custom = !(tier.color in TIER_COLORS);
+          const picker = document.createElement("input");
+          picker.type = "color";
+          picker.value = custom ? tier.color : "#5865f2";
+          picker.hidden = !custom;
+          picker.setAttribute("aria-label", this.t("tierCustomColor"));
+          picker.addEventListener("input", () => update(index, { color: picker.value }, false));
+          picker.addEventListener("change", () => update(index, { color: picker.value }));
+          colorWrap.append(mkSelect(
+            [...Object.keys(TIER_COLORS).map(c => [c, this.t(`tierColor_${c}`)]), ["custom", this.t("tierCustomColor")]],
+            custom ? "custom" : tier.color,
+            v => {
+              picker.hidden = v !== "custom";
+              update(index, { color: v === "custom" ? picker.value : v });
+            }), picker);
+          form.appendChild(mkField(this.t("tierColor"), colorWrap));
+
+          const opacity = document.createElement("input");
+          opacity.type = "range";
+          opacity.min = "10";
+          opacity.max = "100";
+          opacity.step = "5";
+          opacity.value = String(Math.round(tier.opacity * 100));
+          opacity.addEventListener("input", () => update(index, { opacity: Number(opacity.value) / 100 }, false));
+          opacity.addEventListener("change", () => update(index, { opacity: Number(opacity.value) / 100 }));
+          form.appendChild(mkField(this.t("tierOpacity"), opacity));
+
+          form.appendChild(mkField(this.t("tierWeight"), mkSelect(
+            TIER_WEIGHTS.map(w => [String(w), this.t(`tierWeight_${w}`)]), tier.weight,
+            v => update(index, { weight: Number(v) }))));
+
+          const badge = document.createElement("input");
+          badge.className = "rel-input";
+          badge.maxLength = 8;
+          badge.value = tier.badge;
+          badge.placeholder = this.t("tierBadgeNone");
+          badge.addEventListener("input", () => update(index, { badge: badge.value }, false));
+          badge.addEventListener("change", () => update(index, { badge: badge.value }));
+          form.appendChild(mkField(this.t("tierBadge"), badge));
+
+          card.append(heading, form);
+
+          // The last tier ("older") always stays
+          if (tier.maxAge !== null) {
+            const actions = document.createElement("div");
+            actions.className = "rel-row-end";
+            const removeBtn = document.createElement("button");
+            removeBtn.className = "rel-btn";
+            removeBtn.textContent = this.t("removeButton");
+            removeBtn.addEventListener("click", () => {
+              this._setSetting("ageTiers", tiers.filter((_, i) => i !== index));
+              renderEditor();
+            });
+            actions.appendChild(removeBtn);
+            card.appendChild(actions);
+          }
+          return card;
+        }));
+
+        // A new tier goes just before "older", at the next free bound
+        const lastBound = tiers.at(-2)?.maxAge ?? 0;
+        const nextAge = TIER_AGES.find(a => a > lastBound);
+        addBtn.disabled = tiers.length >= 6 || nextAge === undefined;
+        addBtn.onclick = () => {
+          const older = tiers.at(-1);
+          this._setSetting("ageTiers", [...tiers.slice(0, -1), { ...older, maxAge: nextAge, badge: "" }, older]);
+          renderEditor();
+        };
+      };
+
+      const addBtn = document.createElement("button");
+      addBtn.className = "rel-btn";
+      addBtn.textContent = this.t("tierAdd");
+      const actions = document.createElement("div");
+      actions.className = "rel-row-end";
+      actions.appendChild(addBtn);
+
+      renderEditor();
+      renderPreview();
+
+      // The fade switch lives outside this block; follow every change until the panel closes
+      this._panelViews.add({ el: preview, render: () => renderPreview() });
+
+      wrap.append(preview, editor, actions);
+      return wrap;
+    };
+
+    // Sample chips for fixed reference ages plus a date of the user's choosing
+    const mkPreview = () => {
+      const wrap = document.createElement("div");
+      wrap.className = "rel-preview";
+
+      const list = document.createElement("dl");
+      list.className = "rel-preview-list";
+
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = "rel-input";
+      input.placeholder = this.t("previewDatePlaceholder");
+      input.setAttribute("aria-label", this.t("previewDateLabel"));
+      const dateRow = mkRow(this.t("previewDateLabel"), this.t("previewDateNote"), input);
+      const errorEl = document.createElement("div");
+      errorEl.className = "rel-setting-error";
+      errorEl.id = nextId();
+      errorEl.setAttribute("role", "alert");
+      input.setAttribute("aria-describedby", [input.getAttribute("aria-describedby"), errorEl.id].filter(Boolean).join(" "));
+      dateRow.querySelector(".rel-setting-texts").appendChild(errorEl);
+
+      const references = [[-5, "second"], [-3, "minute"], [-2, "hour"], [-1, "day"], [-1, "month"], [-2, "year"], [3, "hour"]];
+      // Days and longer count on the local calendar, like the chips do, so each row shows exactly its label
+      const referenceDate = (now, value, unit) => {
+        if (unit === "year") return this._addCalendar(now, value * 12);
+        if (unit === "month") return this._addCalendar(now, value);
+        if (unit === "day") return this._addCalendar(now, 0, value);
+        return new Date(now.getTime() + value * UNIT_MS[unit]);
+      };
+      let timer = null;
+
+      const render = () => {
+        clearTimeout(timer);
+        const now = new Date();
+        const rtf = this._intl(Intl.RelativeTimeFormat, this._getLocale(), { numeric: "auto" });
+        const rows = references.map(([value, unit]) => [rtf.format(value, unit), referenceDate(now, value, unit)]);
+
+        const text = input.value.trim();
+        const custom = text ? this._parseNatural(text, now) : null;
+        errorEl.textContent = text && !custom ? this.t("previewDateError") : "";
+        input.classList.toggle("invalid", !!(text && !custom));
+        if (custom) rows.push([this.t("previewDateLabel"), custom]);
+
+        let delay = Infinity;
+        list.replaceChildren(...rows.flatMap(([label, date]) => {
+          const dt = document.createElement("dt");
+          dt.textContent = label;
+          const chip = document.createElement("span");
+          chip.className = this.injectedClass;
+          chip.dataset.timestamp = date.toISOString();
+          chip.dataset.placement = "after";
+          chip.dataset.surface = "chat";
+          chip.dataset.sample = ""; // not a message: no "refreshed" events for it
+          delay = Math.min(delay, this._renderChip(chip, now) ?? Infinity);
+          const dd = document.createElement("dd");
+          dd.appendChild(chip);
+          return [dt, dd];
+        }));
+
+        // Tick like chat does, for as long as the panel is open
+        if (Number.isFinite(delay)) {
+          timer = setTimeout(() => {
+            if (wrap.isConnected) render();
+          }, Math.min(Math.max(delay, 250), MAX_TIMER_MS));
+        }
+      };
+
+      input.addEventListener("input", render);
+      this._panelViews.add({ el: wrap, render });
+      render();
+
+      wrap.append(list, dateRow);
+      return wrap;
+    };
+
+    // Diagnostics: counters, filterable log view, clear/export
+    const mkDiagnostics = () => {
+      const wrap = document.createElement("div");
+      wrap.className = "rel-block";
+
+      const counters = document.createElement("div");
+      counters.className = "rel-setting-note";
+      const timing = document.createElement("div");
+      timing.className = "rel-setting-note";
+
+      const levelFilter = document.createElement("select");
+      levelFilter.className = "rel-select";
+      levelFilter.setAttribute("aria-label", this.t("diagFilterLevel"));
+      for (const level of LOG_LEVELS) {
+        const opt = document.createElement("option");
+        opt.value = level;
+        opt.textContent = this.t("diagShowFrom", this.t(`logLevel_${level}`));
+        levelFilter.appendChild(opt);
+      }
+
+      const search = document.createElement("input");
+      search.className = "rel-input";
+      search.type = "search";
+      search.placeholder = this.t("diagSearch");
+      search.setAttribute("aria-label", this.t("diagSearch"));
+
+      const view = document.createElement("div");
+      view.className = "rel-log";
+      view.setAttribute("role", "log");
+      view.tabIndex = 0;
+
+      const render = () => {
+        const c = this._counters;
+        counters.textContent = this.t("diagCounters", c.attach, c.refresh, c.observer);
+        timing.textContent = this._perfSummary();
+
+        const min = LOG_LEVELS.indexOf(levelFilter.value);
+        const needle = search.value.trim().toLowerCase();
+        const shown = this._logEntries.filter(e =>
+          LOG_LEVELS.indexOf(e.level) >= min && (!needle || e.text.toLowerCase().includes(needle)));
+
+        if (!shown.length) {
+          view.textContent = this.t(this._logEntries.length ? "diagNoMatches" : "diagEmpty");
+        } else {
+          view.replaceChildren(...shown.map(e => {
+            const line = document.createElement("div");
+            line.dataset.level = e.level;
+            line.textContent = this._formatLogEntry(e);
+            return line;
+          }));
+        }
+        view.scrollTop = view.scrollHeight;
+      };
+      levelFilter.addEventListener("change", render);
+      search.addEventListener("input", render);
+
+      const filters = document.createElement("div");
+      filters.className = "rel-form";
+      filters.append(levelFilter, search);
+
+      const mkButton = (label, onClick) => {
+        const btn = document.createElement("button");
+        btn.className = "rel-btn";
+        btn.textContent = label;
+        btn.addEventListener("click", onClick);
+        return btn;
+      };
+
+      const buttons = document.createElement("div");
+      buttons.className = "rel-row-end";
+      buttons.append(
+        mkButton(this.t("diagRefresh"), render),
+        mkButton(this.t("diagClear"), () => {
+          this._clearDiagnostics();
+          render();
+        }),
+        mkButton(this.t("diagExport"), () => {
+          try {
+            this._download(`${PLUGIN_NAME}.diagnostics.txt`, this._diagnosticsReport(), "text/plain");
+          } catch (e) {
+            this.error("Diagnostics export failed:", e);
+            this.toast(this.t("toastExportFailed"), "error", 4000);
+          }
+        })
+      );
+
+      render();
+      wrap.append(counters, timing, filters, view, buttons);
+      return wrap;
+    };
+
+    const mkSectionTitle = text => {
+      const el = document.createElement("div");
+      el.className = "rel-section-title";
+      el.textContent = text;
+      return el;
+    };
+
+    const mkDivider = () => {
+      const div = document.createElement("div");
+      div.className = "rel-divider";
+      return div;
+    };
+
+    const discordLocale = this._getDiscordLocale();
+    const localeOptions = [
+      ["", this.t("localeAuto", this._localeLabel(discordLocale))],
+      ...LOCALE_CHOICES.map(l => [l, this._localeLabel(l)])
+    ];
+
+    const unitOptions = UNITS.map(u => [u, this._unitLabel(u)]);
+
+    panel.append(
+      mkSectionTitle(this.t("previewSection")),
+      mkPreview(),
+      mkDivider(),
+      mkSwitchRow(this.t("detailedTitle"), this.t("detailedNote"), "detailed"),
+      mkSwitchRow(this.t("liveUpdateTitle"), this.t("liveUpdateNote"), "liveUpdate"),
+      mkSelectRow(this.t("reduceUpdatesTitle"), this.t("reduceUpdatesNote"), "reduceUpdates",
+        ["auto", "on", "off"].map(v => [v, this.t(`reduceUpdates_${v}`)])),
+      mkSwitchRow(this.t("showTooltipTitle"), this.t("showTooltipNote"), "showTooltip"),
+      mkSelectRow(this.t("localeTitle"), this.t("localeNote"), "locale", localeOptions, () => {
+        // Re-render so the panel itself switches language
+        panel.replaceWith(this.getSettingsPanel());
+      }),
+      mkDivider(),
+      mkSectionTitle(this.t("formatSection")),
+      ...(this._formatters.size || this.settings.formatter ? [
+        mkSelectRow(this.t("formatterTitle"), this.t("formatterNote"), "formatter", [
+          ["", this.t("formatterBuiltIn")],
+          ...[...this._formatters].map(([name, { label }]) => [name, label]),
+          ...(this.settings.formatter && !this._formatters.has(this.settings.formatter)
+            ? [[this.settings.formatter, this.t("formatterMissing", this.settings.formatter)]] : [])
+        ])
+      ] : []),
+      mkInputRow(this.t("templateTitle"), this.t("templateNote"), "template", {
+        placeholder: "{largest:2} ago|in {largest:2}",
+        parse: v => {
+          const parsed = this._parseTemplate(v);
+          return parsed?.error ? { error: parsed.error } : { value: v };
+        }
+      }),
+      mkInputRow(this.t("maxUnitsTitle"), this.t("maxUnitsNote"), "maxUnits", {
+        type: "number",
+        parse: v => {
+          const n = Math.round(Number(v));
+          if (v === "" || !Number.isFinite(n)) return { error: this.t("errNumberRange", 1, UNITS.length) };
+          return { value: Math.min(UNITS.length, Math.max(1, n)) };
+        }
+      }),
+      mkSelectRow(this.t("minUnitTitle"), this.t("minUnitNote"), "minUnit", unitOptions, () => {
+        // The template may reference units that are now too small; re-validate it
+        panel.replaceWith(this.getSettingsPanel());
+      }),
+      mkSelectRow(this.t("roundingTitle"), this.t("roundingNote"), "rounding", [
+        ["floor", this.t("roundingFloor")],
+        ["round", this.t("roundingRound")]
+      ]),
+      mkInputRow(this.t("separatorTitle"), this.t("separatorNote"), "separator", {
+        // Longer values would be dropped on the next load; say so now
+        parse: v => (v.length > SETTINGS_SCHEMA.separator.maxLength
+          ? { error: this.t("valString", this.t("separatorTitle"), SETTINGS_SCHEMA.separator.maxLength) }
+          : { value: v })
+      }),
+      mkDivider(),
+      mkSectionTitle(this.t("hybridSection")),
+      mkSwitchRow(this.t("hybridTitle"), this.t("hybridNote"), "hybrid"),
+      mkSelectRow(this.t("hybridThresholdTitle"), this.t("hybridThresholdNote"), "hybridThreshold",
+        HYBRID_THRESHOLDS.map(sec => [String(sec), this._formatDuration(sec * 1000)])),
+      mkInputRow(this.t("absoluteFormatTitle"), this.t("absoluteFormatNote"), "absoluteFormat", {
+        placeholder: this._formatAbsolute(new Date(), ""),
+        parse: v => {
+          const error = this._validateAbsoluteFormat(v);
+          return error ? { error } : { value: v };
+        }
+      }),
+      mkDivider(),
+      mkSectionTitle(this.t("surfacesSection")),
+      mkSelectRow(this.t("placementTitle"), this.t("placementNote"), "placement", [
+        ["after", this.t("placementAfter")],
+        ["before", this.t("placementBefore")],
+        ["replace", this.t("placementReplace")]
+      ]),
+      ...SURFACES.map(({ id }) => mkSurfaceRow(id)),
+      mkDivider(),
+      mkSectionTitle(this.t("zonesSection")),
+      mkRow(this.t("zonesTitle"), this.t("zonesNote")),
+      mkZones(),
+      mkDivider(),
+      mkSectionTitle(this.t("overridesSection")),
+      mkOverrides(),
+      mkDivider(),
+      mkSectionTitle(this.t("copySection")),
+      mkSelectRow(this.t("clickCopyTitle"), this.t("clickCopyNote"), "clickCopy", [
+        ["off", this.t("clickCopyOff")],
+        ...COPY_FORMATS.map(({ id, label }) => [id, this.t(label)])
+      ]),
+      mkDivider(),
+      mkSectionTitle(this.t("composerSection")),
+      mkSwitchRow(this.t("composerHelperTitle"), this.t("composerHelperNote"), "composerHelper"),
+      mkSelectRow(this.t("composerStyleTitle"), this.t("composerStyleNote"), "composerStyle",
+        DISCORD_STYLES.map(({ style, options }) => [style, `${style} — ${
+          options ? this._intl(Intl.DateTimeFormat, this._getLocale(), options).format(new Date()) : this.format(new Date(Date.now() - 3 * 3600000))
+        }`])),
+      mkDivider(),
+      mkSectionTitle(this.t("editedSection")),
+      mkSwitchRow(this.t("editedShowBothTitle"), this.t("editedShowBothNote"), "editedShowBoth"),
+      mkDivider(),
+      mkSectionTitle(this.t("linkSection")),
+      mkSwitchRow(this.t("linkChipsTitle"), this.t("linkChipsNote"), "linkChips"),
+      mkDivider(),
+      mkSectionTitle(this.t("profileSection")),
+      mkSwitchRow(this.t("profileChipsTitle"), this.t("profileChipsNote"), "profileChips"),
+      mkSelectRow(this.t("accountWarnTitle"), this.t("accountWarnNote"), "accountWarnDays",
+        ACCOUNT_WARN_DAYS.map(days => [String(days), days ? this._formatDuration(days * 86400000) : this.t("accountWarnOff")])),
+      mkDivider(),
+      mkSectionTitle(this.t("ageSection")),
+      mkSwitchRow(this.t("ageStylingTitle"), this.t("ageStylingNote"), "ageStyling"),
+      mkSwitchRow(this.t("ageFadeTitle"), this.t("ageFadeNote"), "ageFade"),
+      mkAgeTiers(),
+      mkDivider(),
+      mkSectionTitle(this.t("gapsSection")),
+      mkSwitchRow(this.t("showGapsTitle"), this.t("showGapsNote"), "showGaps"),
+      mkSelectRow(this.t("gapThresholdTitle"), this.t("gapThresholdNote"), "gapThreshold",
+        GAP_THRESHOLDS.map(sec => [String(sec), this._formatDuration(sec * 1000)])),
+      mkDivider(),
+      mkSectionTitle(this.t("dividersSection")),
+      mkSelectRow(this.t("dayDividersTitle"), this.t("dayDividersNote"), "dayDividers",
+        ["off", "relative", "calendar"].map(v => [v, this.t(`dayDividers_${v}`)])),
+      mkDivider(),
+      mkSectionTitle(this.t("diagSection")),
+      mkSelectRow(this.t("logLevelTitle"), this.t("logLevelNote"), "logLevel",
+        LOG_LEVELS.map(level => [level, this.t(`logLevel_${level}`)])),
+      mkDiagnostics(),
+      mkDivider()
+    );
+
+    // Actions row
+    const actions = document.createElement("div");
+    actions.className = "rel-row-end";
+
+    const resetBtn = document.createElement("button");
+    resetBtn.className = "rel-btn";
+    resetBtn.textContent = this.t("resetButton");
+    resetBtn.addEventListener("click", () => {
+      try {
+        this._applySettings({ ...this.defaultSettings });
+
+        // Re-render the panel to reflect new states
+        const newPanel = this.getSettingsPanel();
+        panel.replaceWith(newPanel);
+
+        this.toast(this.t("toastReset"), "success", 2500);
       } catch (e) {
         this.error("Reset failed:", e);
       }
     });
 
-    const testBtn = document.createElement("button");
-    testBtn.className = "rel-btn brand";
-    testBtn.textContent = "Preview text";
-    testBtn.addEventListener("click", () => {
-      this.toast("Preview: text should be clearly readable on this theme.", "info", 3000);
+    // Import/export for sharing one config across a team
+    const importErrors = document.createElement("div");
+    importErrors.className = "rel-setting-error";
+    importErrors.setAttribute("role", "alert");
+
+    const exportBtn = document.createElement("button");
+    exportBtn.className = "rel-btn";
+    exportBtn.textContent = this.t("exportButton");
+    exportBtn.addEventListener("click", () => this._exportSettings());
+
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = "application/json,.json";
+    fileInput.hidden = true;
+    fileInput.addEventListener("change", () => {
+      const file = fileInput.files?.[0];
+      fileInput.value = "";
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          const result = this._parseImport(String(reader.result));
+          if (result.errors) {
+            importErrors.textContent = [this.t("importErrHeading"), ...result.errors].join("\n");
+            this.toast(this.t("toastImportFailed", result.errors.length), "error", 4000);
+            return;
+          }
+
+          this._applySettings(result.settings);
+          panel.replaceWith(this.getSettingsPanel());
+          this.toast(this.t("toastImported"), "success", 2500);
+        } catch (e) {
+          this.error("Settings import failed:", e);
+        }
+      };
+      reader.onerror = () => this.error("Reading settings file failed:", reader.error);
+      reader.readAsText(file);
     });
 
-    actions.append(resetBtn, testBtn);
-    panel.append(actions);
+    const importBtn = document.createElement("button");
+    importBtn.className = "rel-btn";
+    importBtn.textContent = this.t("importButton");
+    importBtn.addEventListener("click", () => fileInput.click());
+
+    actions.append(exportBtn, importBtn, fileInput, resetBtn);
+    panel.append(actions, importErrors);
 
     return panel;
   }